@@ -1,52 +1,84 @@
-// --- Service Worker Cleanup (Remove Offline Capability) ---
-if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.getRegistrations().then(function (registrations) {
-        for (let registration of registrations) {
-            registration.unregister().then(function (boolean) {
-                console.log('Service Worker unregistered: ', boolean);
-            });
-        }
-    });
-}
-
 // --- Debug Logging ---
-function logAudioDebug(msg, isError = false) {
-    const ui = document.getElementById('debug-ui');
-    const log = document.getElementById('debug-log');
-    if (ui && log) {
-        ui.classList.remove('hidden');
-        const entry = document.createElement('div');
-        entry.textContent = `[${new Date().toLocaleTimeString()}] ${msg}`;
-        if (isError) entry.classList.add('text-red-500', 'font-bold');
-        else entry.classList.add('text-green-500');
-        log.appendChild(entry);
-    }
+// The last DEBUG_LOG_SIZE entries are kept for the diagnostics panel (see
+// "Diagnostics" below) and for copying into bug reports.
+const DEBUG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const DEBUG_LOG_SIZE = 500;
+const debugLog = []; // { time, level, msg }, oldest first
+let onDebugLog = null; // Set while the panel is open
+
+function logAudioDebug(msg, level = 'info') {
+    const entry = { time: Date.now(), level, msg };
+    debugLog.push(entry);
+    if (debugLog.length > DEBUG_LOG_SIZE) debugLog.shift();
+    if (onDebugLog) onDebugLog(entry);
     console.log(`[AudioDebug] ${msg}`);
 }
 
 // --- Audio Engine (Web Audio API) ---
 class AudioEngine {
-    constructor() {
+    // Pass an OfflineAudioContext as `context` to build the same graph for
+    // rendering to a file; the interactive parts (autoplay unlock, spatial
+    // animation, media session) are then skipped.
+    constructor({ context = null } = {}) {
         const AudioContext = window.AudioContext || window.webkitAudioContext;
-        this.ctx = new AudioContext();
+        this.ctx = context || new AudioContext();
 
-        // Master Chain: MasterGain -> Analyser -> Destination
+        // Master Chain: MasterGain -> Fade -> Compressor -> Makeup -> Limiter -> Analyser -> Destination
         this.masterGain = this.ctx.createGain();
+        // Sleep timer fade, kept apart from the master gain so muting and
+        // unmuting never undo a scheduled fade
+        this.fadeGain = this.ctx.createGain();
+        this.compressor = this.ctx.createDynamicsCompressor();
+        this.makeup = this.ctx.createGain();
+        this.limiter = this.ctx.createDynamicsCompressor();
         this.analyser = this.ctx.createAnalyser();
-        this.analyser.fftSize = 256; // For visualizer sensitivity
+        this.analyser.fftSize = 1024; // Fine enough to pick out the bass band
 
-        this.masterGain.connect(this.analyser);
+        // Brick-wall style limiter so stacked sounds never clip the output
+        this.limiter.threshold.value = -1;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.002;
+        this.limiter.release.value = 0.1;
+        this.nightMode = false;
+        this.setNightMode(false);
+
+        this.masterGain.connect(this.fadeGain).connect(this.compressor).connect(this.makeup).connect(this.limiter);
+        this.limiter.connect(this.analyser);
         this.analyser.connect(this.ctx.destination);
 
         this.tracks = {};
         this.pendingVolumes = {};
         this.generators = {};
 
+        // Loading state per track id: { status, loaded, total, attempt, error }
+        // with status idle -> loading -> decoded, or fallback (played by its
+        // <audio> element) / failed once retrying gave up. onTrackState(id,
+        // info) is called on every change.
+        this.loadStates = {};
+        this.loading = {}; // Promise of each load in progress
+        this.onTrackState = null;
+
+        // Automation lanes keyed by track/generator id: { segments, startTime }
+        this.lanes = {};
+        this.pendingLanes = {};
+
+        // Tone settings keyed by track/generator id, kept so channels created
+        // later (tracks still decoding, generators not yet started) pick them up
+        this.tones = {};
+
         this.spatialEnabled = false;
-        this.spatialTime = 0;
+        // Map positions keyed by track/generator id: { x, z, orbit } in the
+        // unit circle around the listener; orbit is in revolutions per minute
+        this.positions = {};
+
+        // Decoded tracks loop by crossfading overlapping passes; a crossfade
+        // of 0 falls back to the buffer's own (hard) loop
+        this.loopSettings = { crossfade: 3, randomStart: true };
 
         this.isMuted = true; // Start muted to match UI 'Play' state
         this.masterVolume = 1.0;
+        if (context) return;
 
         // Resume context
         ['click', 'touchstart', 'keydown'].forEach(evt =>
@@ -55,93 +87,324 @@ class AudioEngine {
             }, { once: true })
         );
 
-        this.startSpatialLoop();
         this.setupMediaSession();
     }
 
-    async addTrack(id) {
+    // Makes a track known without loading it: it loads the first time it
+    // is given a volume or an automation lane
+    registerTrack(id) {
+        if (!this.tracks[id] && !this.loadStates[id]) this.setLoadState(id, { status: 'idle' });
+    }
+
+    setLoadState(id, info) {
+        this.loadStates[id] = info;
+        if (this.onTrackState) this.onTrackState(id, info);
+    }
+
+    // Starts loading (once) and resolves when the track is ready or failed
+    addTrack(id) {
+        if (this.tracks[id]) return Promise.resolve();
+        if (!this.loading[id]) {
+            this.loading[id] = this.loadTrack(id).finally(() => delete this.loading[id]);
+        }
+        return this.loading[id];
+    }
+
+    // Tries again from scratch, also for a track playing as a fallback
+    retryTrack(id) {
+        const track = this.tracks[id];
+        if (track && track.type === 'html5') {
+            this.pendingVolumes[id] = track.element.paused ? 0 : track.element.volume;
+            track.element.pause();
+            delete this.tracks[id];
+        }
+        return this.addTrack(id);
+    }
+
+    async loadTrack(id) {
         const element = document.getElementById(id);
         if (!element) return;
 
         const src = element.getAttribute('src');
         if (!src) {
-            logAudioDebug(`No src attribute found for ${id}`, true);
+            logAudioDebug(`No src attribute found for ${id}`, 'error');
+            this.setLoadState(id, { status: 'failed', error: 'No source' });
             return;
         }
 
-        try {
-            // Fetch the audio file and decode it as an AudioBuffer
-            // This bypasses CORS issues with MediaElementAudioSourceNode
-            logAudioDebug(`Loading ${id} via fetch...`);
-            const response = await fetch(src);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status} for ${src}`);
+        let error = null;
+        for (let attempt = 0; attempt <= TRACK_RETRY_DELAYS.length; attempt++) {
+            if (attempt) {
+                this.setLoadState(id, { status: 'loading', loaded: 0, total: 0, attempt });
+                await new Promise(resolve => setTimeout(resolve, TRACK_RETRY_DELAYS[attempt - 1]));
+                // Deleted (custom sounds) while waiting
+                if (!this.loadStates[id]) return;
             }
-            const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await this.ctx.decodeAudioData(arrayBuffer);
-
-            const gain = this.ctx.createGain();
-            const panner = this.ctx.createStereoPanner();
-            gain.connect(panner).connect(this.masterGain);
-            gain.gain.value = 0;
+            try {
+                // Fetch the audio file and decode it as an AudioBuffer
+                // This bypasses CORS issues with MediaElementAudioSourceNode
+                logAudioDebug(`Loading ${id} via fetch${attempt ? ` (retry ${attempt})` : ''}...`, 'debug');
+                const arrayBuffer = await this.fetchTrack(id, src, attempt);
+                if (!this.loadStates[id]) return;
+                const audioBuffer = await this.ctx.decodeAudioData(arrayBuffer).catch(e => {
+                    // The file itself is bad, so fetching it again won't help
+                    const err = new Error(`Could not decode: ${(e && e.message) || 'unsupported format'}`);
+                    err.permanent = true;
+                    throw err;
+                });
+                if (!this.loadStates[id]) return;
+                const track = this.createBufferTrack(id, audioBuffer);
+                const trimDb = 20 * Math.log10(track.trim.gain.value);
+                logAudioDebug(`${id} loaded successfully (${track.loudness.toFixed(1)} dBFS, trim ${trimDb.toFixed(1)} dB)`);
+                this.setLoadState(id, { status: 'decoded' });
+                error = null;
+                break;
+            } catch (e) {
+                error = e;
+                logAudioDebug(`Loading ${id} failed: ${e.message}`, 'warn');
+                if (e.permanent) break;
+            }
+        }
 
-            this.tracks[id] = {
-                buffer: audioBuffer,
-                gain,
-                panner,
-                source: null, // Will be created when playing
-                isPlaying: false,
-                type: 'buffer'
-            };
-            logAudioDebug(`${id} loaded successfully`);
-        } catch (e) {
-            console.warn(`Buffer loading failed for ${id}, falling back to HTML5 Audio.`, e);
-            logAudioDebug(`Fallback to HTML5 for ${id}: ${e.message}`, true);
-            element.volume = 0;
-            element.muted = this.isMuted;
-            this.tracks[id] = { element, type: 'html5' };
+        if (error) {
+            // The browser's own player may still manage what decoding couldn't
+            if (await this.canPlayElement(element)) {
+                logAudioDebug(`Fallback to HTML5 for ${id}: ${error.message}`, 'warn');
+                element.volume = 0;
+                element.muted = this.isMuted;
+                this.tracks[id] = { element, type: 'html5' };
+                this.setLoadState(id, { status: 'fallback', error: error.message });
+            } else {
+                if (this.loadStates[id]) this.setLoadState(id, { status: 'failed', error: error.message });
+                return;
+            }
         }
 
+        // Take the lane first: applying the pending volume would cancel it
+        const pendingLane = this.pendingLanes[id];
+        delete this.pendingLanes[id];
         if (this.pendingVolumes[id] !== undefined) {
             this.setTrackVolume(id, this.pendingVolumes[id]);
             delete this.pendingVolumes[id];
         }
+        if (pendingLane) this.automate(id, pendingLane.segments, pendingLane.startTime);
+    }
+
+    // Downloads a track, reporting bytes received as it goes. Client errors
+    // (missing file and the like) are marked permanent so they aren't retried.
+    async fetchTrack(id, src, attempt) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            const err = new Error(`HTTP ${response.status} for ${src}`);
+            err.permanent = response.status >= 400 && response.status < 500;
+            throw err;
+        }
+        const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        this.setLoadState(id, { status: 'loading', loaded: 0, total, attempt });
+        if (!response.body) return response.arrayBuffer();
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            this.setLoadState(id, { status: 'loading', loaded, total, attempt });
+        }
+        const bytes = new Uint8Array(loaded);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes.buffer;
+    }
+
+    // Whether the <audio> element can play its source (false on error or
+    // if it hasn't said within FALLBACK_TIMEOUT)
+    canPlayElement(element) {
+        return new Promise(resolve => {
+            const done = (ok) => {
+                clearTimeout(timeout);
+                element.removeEventListener('canplay', onCanPlay);
+                element.removeEventListener('error', onError);
+                resolve(ok);
+            };
+            const onCanPlay = () => done(true);
+            const onError = () => done(false);
+            const timeout = setTimeout(() => done(false), FALLBACK_TIMEOUT);
+            element.addEventListener('canplay', onCanPlay);
+            element.addEventListener('error', onError);
+            element.preload = 'auto';
+            element.load();
+        });
+    }
+
+    // Builds the channel for a decoded buffer: gain -> trim -> tone -> panner
+    createBufferTrack(id, audioBuffer) {
+        // Fixed trim that brings the file to the shared loudness target
+        const loudness = this.measureLoudness(audioBuffer);
+        const trimDb = isFinite(loudness)
+            ? Math.max(-LOUDNESS_MAX_TRIM, Math.min(LOUDNESS_MAX_TRIM, LOUDNESS_TARGET - loudness))
+            : 0;
+
+        const gain = this.ctx.createGain();
+        const trim = this.ctx.createGain();
+        const tone = this.createToneChain(id);
+        const panner = this.createPanner(id);
+        trim.gain.value = Math.pow(10, trimDb / 20);
+        gain.connect(trim).connect(tone.input);
+        tone.output.connect(panner).connect(this.masterGain);
+        gain.gain.value = 0;
+
+        this.tracks[id] = {
+            buffer: audioBuffer,
+            gain,
+            trim,
+            tone,
+            panner,
+            loudness,
+            sources: [], // Will be created when playing
+            schedule: null,
+            isPlaying: false,
+            type: 'buffer'
+        };
+        if (this.isOrbiting(id)) this.scheduleOrbits();
+        return this.tracks[id];
+    }
+
+    // Gated RMS level in dBFS: mean power over 400ms blocks, skipping blocks
+    // below -70 dBFS so silent gaps and fades don't drag the figure down
+    measureLoudness(buffer) {
+        const blockSize = Math.max(1, Math.floor(0.4 * buffer.sampleRate));
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+        let total = 0;
+        let blocks = 0;
+        for (let start = 0; start < buffer.length; start += blockSize) {
+            const end = Math.min(start + blockSize, buffer.length);
+            let sum = 0;
+            channels.forEach(data => {
+                for (let i = start; i < end; i++) sum += data[i] * data[i];
+            });
+            const power = sum / ((end - start) * channels.length);
+            if (power > 1e-7) {
+                total += power;
+                blocks++;
+            }
+        }
+        return blocks ? 10 * Math.log10(total / blocks) : -Infinity;
+    }
+
+    startTrackSource(id) {
+        const track = this.tracks[id];
+        if (track.isPlaying) return;
+        const duration = track.buffer.duration;
+        // Very short buffers would need a pass every few frames; loop them natively
+        const crossfade = duration < 2 ? 0 : Math.min(this.loopSettings.crossfade, duration / 3);
+        // Random offsets stay clear of the tail so the first pass can fade out
+        const offset = this.loopSettings.randomStart ? Math.random() * Math.max(0, duration - 2 * crossfade) : 0;
+        track.isPlaying = true;
+
+        if (crossfade <= 0) {
+            const source = this.ctx.createBufferSource();
+            source.buffer = track.buffer;
+            source.loop = true;
+            source.connect(track.gain);
+            source.start(0, offset);
+            track.sources = [source];
+        } else {
+            this.queueLoopPass(track, this.ctx.currentTime, offset, crossfade, false);
+            track.schedule = (until) => {
+                while (track.nextPass < until) this.queueLoopPass(track, track.nextPass, 0, crossfade, true);
+            };
+            track.schedule(this.ctx.currentTime + GENERATOR_LOOKAHEAD);
+            if (!this.schedulerInt) this.schedulerInt = setInterval(() => this.runSchedulers(), 1000);
+        }
+        logAudioDebug(`Started playing ${id}`, 'debug');
+    }
+
+    // One play-through of a track's buffer from `offset`, faded in (unless it
+    // is the first) and out with equal-power curves. The next pass starts
+    // `crossfade` seconds before this one ends.
+    queueLoopPass(track, when, offset, crossfade, fadeIn) {
+        if (!this.fadeCurves) {
+            const steps = 64;
+            const fadeIn = new Float32Array(steps);
+            const fadeOut = new Float32Array(steps);
+            for (let i = 0; i < steps; i++) {
+                fadeIn[i] = Math.sin(i / (steps - 1) * Math.PI / 2);
+                fadeOut[i] = Math.cos(i / (steps - 1) * Math.PI / 2);
+            }
+            this.fadeCurves = { fadeIn, fadeOut };
+        }
+        const end = when + track.buffer.duration - offset;
+        const source = this.ctx.createBufferSource();
+        const envelope = this.ctx.createGain();
+        source.buffer = track.buffer;
+        source.connect(envelope).connect(track.gain);
+        if (fadeIn) envelope.gain.setValueCurveAtTime(this.fadeCurves.fadeIn, when, crossfade);
+        else envelope.gain.setValueAtTime(1, when);
+        envelope.gain.setValueCurveAtTime(this.fadeCurves.fadeOut, end - crossfade, crossfade);
+        source.start(when, offset);
+        source.stop(end);
+        source.onended = () => {
+            envelope.disconnect();
+            track.sources = track.sources.filter(s => s !== source);
+        };
+        track.sources.push(source);
+        track.nextPass = end - crossfade;
+    }
+
+    // Tears a track down for good, e.g. when a custom sound is deleted
+    removeTrack(id) {
+        const track = this.tracks[id];
+        this.clearAutomation(id);
+        if (track && track.type === 'buffer') {
+            if (track.isPlaying) this.stopTrackSource(id);
+            [track.gain, track.trim, track.tone.output, track.panner].forEach(n => n.disconnect());
+        } else if (track) {
+            track.element.pause();
+        }
+        delete this.tracks[id];
+        delete this.pendingVolumes[id];
+        delete this.loadStates[id];
+        delete this.tones[id];
+        delete this.positions[id];
+    }
+
+    stopTrackSource(id) {
+        const track = this.tracks[id];
+        track.sources.forEach(source => {
+            source.onended = null;
+            source.stop();
+            source.disconnect();
+        });
+        track.sources = [];
+        track.schedule = null;
+        track.isPlaying = false;
+        logAudioDebug(`Stopped ${id}`, 'debug');
     }
 
     setTrackVolume(id, vol) {
+        // A manual volume change always overrides a running automation lane
+        if (this.lanes[id] || this.pendingLanes[id]) this.clearAutomation(id);
         if (this.tracks[id]) {
             const track = this.tracks[id];
             if (track.type === 'buffer') {
                 track.gain.gain.setTargetAtTime(vol, this.ctx.currentTime, 0.1);
                 if (vol > 0 && !track.isPlaying) {
-                    // Create a new buffer source and start it
-                    const source = this.ctx.createBufferSource();
-                    source.buffer = track.buffer;
-                    source.loop = true;
-                    source.connect(track.gain);
-                    source.start(0);
-                    track.source = source;
-                    track.isPlaying = true;
-                    logAudioDebug(`Started playing ${id}`);
+                    this.startTrackSource(id);
                 } else if (vol === 0 && track.isPlaying) {
                     // Stop the source after fade out
                     setTimeout(() => {
-                        if (track.gain.gain.value < 0.01 && track.source) {
-                            track.source.stop();
-                            track.source.disconnect();
-                            track.source = null;
-                            track.isPlaying = false;
-                            logAudioDebug(`Stopped ${id}`);
+                        if (track.gain.gain.value < 0.01 && track.isPlaying && !this.lanes[id]) {
+                            this.stopTrackSource(id);
                         }
                     }, 200);
                 }
-            } else if (track.type === 'webaudio') {
-                track.gain.gain.setTargetAtTime(vol, this.ctx.currentTime, 0.1);
-                if (vol > 0 && track.element.paused) {
-                    track.element.play().catch(e => console.error(e));
-                } else if (vol === 0) {
-                    setTimeout(() => { if (track.gain.gain.value < 0.01) track.element.pause(); }, 200);
-                }
             } else {
                 // Fallback HTML5
                 track.element.volume = vol;
@@ -153,81 +416,357 @@ class AudioEngine {
             }
         } else {
             this.pendingVolumes[id] = vol;
+            if (vol > 0) this.loadIfIdle(id);
         }
     }
 
-    fadeMasterOut(duration = 10) {
-        this.masterGain.gain.cancelScheduledValues(this.ctx.currentTime);
-        this.masterGain.gain.setValueAtTime(this.masterGain.gain.value, this.ctx.currentTime);
-        this.masterGain.gain.linearRampToValueAtTime(0, this.ctx.currentTime + duration);
+    // Tracks load on first use; a failed one waits for retryTrack()
+    loadIfIdle(id) {
+        const info = this.loadStates[id];
+        if (info && info.status === 'idle') this.addTrack(id);
+    }
+
+    // Fades out over the `duration` seconds before audio time `end` (or over
+    // what is left, if that has already begun), scheduled ahead on the audio
+    // clock so it happens on time even while timers are throttled
+    fadeMasterOut(end, duration = 10) {
+        const now = this.ctx.currentTime;
+        const fade = this.fadeGain.gain;
+        const start = Math.max(now, end - duration);
+        fade.cancelScheduledValues(now);
+        fade.setValueAtTime(start === now ? fade.value : 1, start);
+        fade.linearRampToValueAtTime(0, Math.max(start, end));
     }
 
     resetMasterVolume() {
+        this.fadeGain.gain.cancelScheduledValues(this.ctx.currentTime);
+        this.fadeGain.gain.setTargetAtTime(1, this.ctx.currentTime, 0.5);
         this.masterGain.gain.cancelScheduledValues(this.ctx.currentTime);
         this.masterGain.gain.setTargetAtTime(this.isMuted ? 0 : this.masterVolume, this.ctx.currentTime, 0.5);
     }
 
-    playChime() {
+    playChime(when = this.ctx.currentTime, freq = 880) {
         const osc = this.ctx.createOscillator();
         const gain = this.ctx.createGain();
         osc.connect(gain);
         gain.connect(this.ctx.destination);
         osc.type = 'sine';
-        osc.frequency.setValueAtTime(880, this.ctx.currentTime);
-        osc.frequency.exponentialRampToValueAtTime(440, this.ctx.currentTime + 1.5);
-        gain.gain.setValueAtTime(0.5, this.ctx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + 1.5);
-        osc.start();
-        osc.stop(this.ctx.currentTime + 1.5);
+        osc.frequency.setValueAtTime(freq, when);
+        osc.frequency.exponentialRampToValueAtTime(freq / 2, when + 1.5);
+        gain.gain.setValueAtTime(0.5, when);
+        gain.gain.exponentialRampToValueAtTime(0.01, when + 1.5);
+        osc.start(when);
+        osc.stop(when + 1.5);
+        return osc;
     }
 
-    toggleSpatial(enabled) {
-        this.spatialEnabled = enabled;
-        if (!enabled) {
-            Object.values(this.tracks).forEach(t => {
-                if (t.panner) t.panner.pan.setTargetAtTime(0, this.ctx.currentTime, 0.5);
+    // --- One-shot Events ---
+    // Short synthesized sounds dropped into the mix: a distant dragon roar, a
+    // roll of thunder or a log shifting in the fire. `angle` places the event
+    // around the listener when spatial audio is on (0 = right, counter-clockwise).
+    playEvent(type, when = this.ctx.currentTime, { level = 0.5, angle = -Math.PI / 2 } = {}) {
+        const env = this.ctx.createGain();
+        const panner = this.ctx.createPanner();
+        panner.panningModel = this.spatialEnabled ? 'HRTF' : 'equalpower';
+        const dist = this.spatialEnabled ? SPATIAL_RADIUS : 1;
+        const x = Math.cos(angle) * dist, z = -Math.sin(angle) * dist;
+        if (panner.positionX) {
+            panner.positionX.value = x;
+            panner.positionZ.value = z;
+        } else {
+            panner.setPosition(x, 0, z);
+        }
+        env.gain.value = 0;
+        env.connect(panner).connect(this.masterGain);
+
+        let end;
+        if (type === 'roar') {
+            // Two detuned saws with a growl tremolo, muffled by distance
+            const length = 3 + Math.random() * 2;
+            const pitch = 45 + Math.random() * 20;
+            const filter = this.ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 350;
+            const growl = this.ctx.createGain();
+            const lfo = this.ctx.createOscillator();
+            const depth = this.ctx.createGain();
+            lfo.frequency.value = 14 + Math.random() * 8;
+            depth.gain.value = 0.4;
+            growl.gain.value = 0.6;
+            lfo.connect(depth).connect(growl.gain);
+            [1, 1.51].forEach(ratio => {
+                const osc = this.ctx.createOscillator();
+                osc.type = 'sawtooth';
+                osc.frequency.setValueAtTime(pitch * ratio, when);
+                osc.frequency.linearRampToValueAtTime(pitch * ratio * 1.5, when + length * 0.3);
+                osc.frequency.exponentialRampToValueAtTime(pitch * ratio * 0.8, when + length);
+                osc.connect(growl);
+                osc.start(when);
+                osc.stop(when + length);
             });
+            growl.connect(filter).connect(env);
+            lfo.start(when);
+            lfo.stop(when + length);
+            env.gain.setValueAtTime(0, when);
+            env.gain.linearRampToValueAtTime(level * 0.5, when + length * 0.3);
+            env.gain.setTargetAtTime(0, when + length * 0.5, length / 6);
+            end = when + length;
+        } else if (type === 'thunder') {
+            // Crack, then a rumble that darkens as it rolls away
+            const length = 6 + Math.random() * 4;
+            const src = this.ctx.createBufferSource();
+            src.buffer = this.createNoiseBuffer('brown', length);
+            const filter = this.ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(1200, when);
+            filter.frequency.exponentialRampToValueAtTime(120, when + length);
+            src.connect(filter).connect(env);
+            env.gain.setValueAtTime(0, when);
+            env.gain.linearRampToValueAtTime(level, when + 0.08);
+            let t = when + 0.3;
+            while (t < when + length * 0.6) {
+                env.gain.setTargetAtTime(level * (0.3 + Math.random() * 0.6), t, 0.2);
+                t += 0.4 + Math.random() * 1.2;
+            }
+            env.gain.setTargetAtTime(0, t, length / 8);
+            src.start(when);
+            src.stop(when + length);
+            end = when + length;
+        } else if (type === 'log') {
+            // A dull thump, a rustle of settling embers and a burst of pops
+            const thump = this.ctx.createOscillator();
+            const thumpGain = this.ctx.createGain();
+            thump.frequency.setValueAtTime(90, when);
+            thump.frequency.exponentialRampToValueAtTime(40, when + 0.3);
+            thumpGain.gain.setValueAtTime(0.8, when);
+            thumpGain.gain.exponentialRampToValueAtTime(0.001, when + 0.35);
+            thump.connect(thumpGain).connect(env);
+            thump.start(when);
+            thump.stop(when + 0.4);
+
+            const rustle = this.ctx.createBufferSource();
+            rustle.buffer = this.createNoiseBuffer('pink', 1.5);
+            const band = this.ctx.createBiquadFilter();
+            band.type = 'bandpass';
+            band.frequency.value = 1500;
+            const rustleGain = this.ctx.createGain();
+            rustleGain.gain.setValueAtTime(0, when);
+            rustleGain.gain.linearRampToValueAtTime(0.4, when + 0.1);
+            rustleGain.gain.exponentialRampToValueAtTime(0.001, when + 1.5);
+            rustle.connect(band).connect(rustleGain).connect(env);
+            rustle.start(when);
+
+            const click = this.createNoiseBuffer('white', 0.03);
+            const pops = 6 + Math.floor(Math.random() * 6);
+            let t = when + 0.05;
+            for (let i = 0; i < pops; i++) {
+                const pop = this.ctx.createBufferSource();
+                pop.buffer = click;
+                pop.playbackRate.value = 0.5 + Math.random();
+                pop.connect(env);
+                pop.start(t);
+                t += Math.random() * 0.3;
+            }
+            env.gain.setValueAtTime(level, when);
+            end = Math.max(t, when + 1.5);
+        } else {
+            env.disconnect();
+            return;
         }
+        // Release the nodes once the event has played out
+        const src = this.ctx.createConstantSource();
+        src.offset.value = 0;
+        src.connect(env);
+        src.onended = () => { env.disconnect(); panner.disconnect(); };
+        src.start(when);
+        src.stop(end + 1);
     }
 
-    startSpatialLoop() {
-        const animate = () => {
-            if (this.spatialEnabled) {
-                this.spatialTime += 0.005;
-                Object.values(this.tracks).forEach((track, index) => {
-                    if (track.panner) {
-                        const offset = index * (Math.PI / 2);
-                        const pan = Math.sin(this.spatialTime + offset) * 0.7;
-                        track.panner.pan.setValueAtTime(pan, this.ctx.currentTime);
-                    }
-                });
+    // --- Wake Alarm ---
+    fadeMasterIn(duration) {
+        this.isMuted = false;
+        const now = this.ctx.currentTime;
+        this.masterGain.gain.cancelScheduledValues(now);
+        this.masterGain.gain.setValueAtTime(0, now);
+        this.masterGain.gain.linearRampToValueAtTime(this.masterVolume, now + Math.max(duration, 1));
+        this.updateMediaSessionState();
+    }
+
+    // Queues the rising three-chime alarm call every `interval` seconds from
+    // `when` until `until`, all on the audio clock so throttled timers
+    // cannot delay it. Returns the oscillators so the caller can silence them.
+    scheduleAlarm(when, until, interval = 6) {
+        const nodes = [];
+        for (let t = when; t < until; t += interval) {
+            [660, 880, 1100].forEach((freq, i) => nodes.push(this.playChime(t + i * 0.35, freq)));
+        }
+        return nodes;
+    }
+
+    // A running (silent) source keeps the context from being suspended for
+    // inactivity while the screen is off, as far as the browser allows
+    startKeepAlive() {
+        if (this.keepAlive) return;
+        const src = this.ctx.createConstantSource();
+        const gain = this.ctx.createGain();
+        gain.gain.value = 0;
+        src.connect(gain).connect(this.ctx.destination);
+        src.start();
+        this.keepAlive = src;
+    }
+
+    stopKeepAlive() {
+        if (!this.keepAlive) return;
+        this.keepAlive.stop();
+        this.keepAlive.disconnect();
+        this.keepAlive = null;
+    }
+
+    // --- 3D Spatial Audio ---
+    // Channels are placed around a listener at the origin facing -Z. With
+    // spatial off every panner sits straight ahead in equal-power mode, which
+    // sounds the same as no panning at all.
+    createPanner(id) {
+        const panner = this.ctx.createPanner();
+        panner.distanceModel = 'inverse';
+        panner.refDistance = 1;
+        panner.maxDistance = 10;
+        panner.rolloffFactor = 0.5;
+        this.updatePanner(panner, id, 0);
+        return panner;
+    }
+
+    // Map position (unit circle) at `time`, following the orbit if there is one
+    mapPositionAt(id, time) {
+        const pos = this.positions[id] || { x: 0, z: -0.5 };
+        if (!pos.orbit) return { x: pos.x, z: pos.z };
+        const radius = Math.hypot(pos.x, pos.z);
+        const angle = Math.atan2(pos.z, pos.x) + 2 * Math.PI * pos.orbit * (time - pos.orbitStart) / 60;
+        return { x: radius * Math.cos(angle), z: radius * Math.sin(angle) };
+    }
+
+    // Position in metres: map units are scaled by SPATIAL_RADIUS, and sounds
+    // dropped near the centre rise overhead instead of sitting inside the head
+    positionAt(id, time) {
+        const { x, z } = this.mapPositionAt(id, time);
+        const dist = Math.hypot(x, z);
+        const y = dist < 0.3 ? (0.3 - dist) / 0.3 : 0;
+        return { x: x * SPATIAL_RADIUS, y: y * SPATIAL_RADIUS, z: z * SPATIAL_RADIUS };
+    }
+
+    isOrbiting(id) {
+        return this.spatialEnabled && !!this.positions[id] && !!this.positions[id].orbit;
+    }
+
+    updatePanner(panner, id, smoothing = 0.3) {
+        const now = this.ctx.currentTime;
+        panner.panningModel = this.spatialEnabled ? 'HRTF' : 'equalpower';
+        const pos = this.spatialEnabled ? this.positionAt(id, now) : { x: 0, y: 0, z: -1 };
+        if (panner.positionX) {
+            // Drop the queued orbit; scheduleOrbits() requeues it from now
+            if (panner.orbitUntil) {
+                [panner.positionX, panner.positionY, panner.positionZ].forEach(param => param.cancelScheduledValues(now));
+                panner.orbitUntil = 0;
             }
-            requestAnimationFrame(animate);
-        };
-        requestAnimationFrame(animate);
+            if (this.isOrbiting(id)) return;
+            panner.positionX.setTargetAtTime(pos.x, now, smoothing || 0.001);
+            panner.positionY.setTargetAtTime(pos.y, now, smoothing || 0.001);
+            panner.positionZ.setTargetAtTime(pos.z, now, smoothing || 0.001);
+        } else {
+            panner.setPosition(pos.x, pos.y, pos.z);
+        }
+    }
+
+    setPosition(id, position) {
+        const now = this.ctx.currentTime;
+        const prev = this.positions[id];
+        let orbitStart = now;
+        // A speed change on the same spot carries on from the current angle
+        if (prev && prev.orbit && position.orbit && prev.x === position.x && prev.z === position.z) {
+            orbitStart = now - prev.orbit * (now - prev.orbitStart) / position.orbit;
+        }
+        this.positions[id] = { ...position, orbitStart };
+        const channel = this.getChannel(id);
+        if (channel && channel.panner) this.updatePanner(channel.panner, id, 0.05);
+        this.startOrbitScheduler();
+    }
+
+    toggleSpatial(enabled) {
+        this.spatialEnabled = enabled;
+        Object.keys(this.positions).concat(Object.keys(this.tracks), Object.keys(this.generators)).forEach(id => {
+            const channel = this.getChannel(id);
+            if (channel && channel.panner) this.updatePanner(channel.panner, id);
+        });
+        this.startOrbitScheduler();
+    }
+
+    // Orbits run as position curves (20 points a second) queued ahead on the
+    // audio clock, so nothing animates them frame by frame. Each panner keeps
+    // `orbitUntil`, the end of what is queued; pass `until` to queue a whole
+    // render in one go.
+    scheduleOrbits(until = this.ctx.currentTime + ORBIT_LOOKAHEAD) {
+        if (!this.spatialEnabled) return;
+        const now = this.ctx.currentTime;
+        Object.keys(this.positions).forEach(id => {
+            const channel = this.getChannel(id);
+            // Old-style panners without AudioParams just stay where they are
+            if (!this.isOrbiting(id) || !channel || !channel.panner || !channel.panner.positionX) return;
+            const panner = channel.panner;
+            const from = Math.max(now, panner.orbitUntil || 0);
+            // Top up in chunks rather than a sliver every tick
+            if (until - from < ORBIT_LOOKAHEAD / 3 && panner.orbitUntil) return;
+            const duration = until - from;
+            const steps = Math.max(2, Math.ceil(duration * 20));
+            const curves = { x: new Float32Array(steps), y: new Float32Array(steps), z: new Float32Array(steps) };
+            for (let i = 0; i < steps; i++) {
+                const pos = this.positionAt(id, from + duration * i / (steps - 1));
+                curves.x[i] = pos.x;
+                curves.y[i] = pos.y;
+                curves.z[i] = pos.z;
+            }
+            panner.positionX.setValueCurveAtTime(curves.x, from, duration);
+            panner.positionY.setValueCurveAtTime(curves.y, from, duration);
+            panner.positionZ.setValueCurveAtTime(curves.z, from, duration);
+            panner.orbitUntil = until;
+        });
+    }
+
+    // Keeps orbits topped up while any are running, and stops otherwise
+    startOrbitScheduler() {
+        const needed = Object.keys(this.positions).some(id => this.isOrbiting(id));
+        if (needed) {
+            this.scheduleOrbits();
+            if (!this.orbitInt) this.orbitInt = setInterval(() => this.scheduleOrbits(), 1000);
+        } else {
+            clearInterval(this.orbitInt);
+            this.orbitInt = null;
+        }
     }
 
     // --- Noise Generators ---
-    createNoiseBuffer(type) {
-        const bufferSize = 2 * this.ctx.sampleRate;
+    // `seconds` of looping noise. An extra tail is generated and crossfaded
+    // into the head so the loop point has no click.
+    createNoiseBuffer(type, seconds = 2) {
+        const bufferSize = Math.floor(seconds * this.ctx.sampleRate);
+        const fadeSize = Math.min(Math.floor(0.05 * this.ctx.sampleRate), Math.floor(bufferSize / 4));
         const buffer = this.ctx.createBuffer(1, bufferSize, this.ctx.sampleRate);
-        const data = buffer.getChannelData(0);
+        const data = new Float32Array(bufferSize + fadeSize);
 
         if (type === 'brown') {
             let lastOut = 0;
-            for (let i = 0; i < bufferSize; i++) {
+            for (let i = 0; i < data.length; i++) {
                 const white = Math.random() * 2 - 1;
                 data[i] = (lastOut + (0.02 * white)) / 1.02;
                 lastOut = data[i];
                 data[i] *= 3.5;
             }
         } else if (type === 'white') {
-            for (let i = 0; i < bufferSize; i++) {
+            for (let i = 0; i < data.length; i++) {
                 data[i] = Math.random() * 2 - 1;
             }
         } else if (type === 'pink') {
             let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
-            for (let i = 0; i < bufferSize; i++) {
+            for (let i = 0; i < data.length; i++) {
                 const white = Math.random() * 2 - 1;
                 b0 = 0.99886 * b0 + white * 0.0555179;
                 b1 = 0.99332 * b1 + white * 0.0750759;
@@ -240,38 +779,91 @@ class AudioEngine {
                 b6 = white * 0.115926;
             }
         }
+
+        const out = buffer.getChannelData(0);
+        out.set(data.subarray(0, bufferSize));
+        for (let i = 0; i < fadeSize; i++) {
+            const w = i / fadeSize;
+            out[i] = data[i] * Math.sqrt(w) + data[bufferSize + i] * Math.sqrt(1 - w);
+        }
         return buffer;
     }
 
-    updateGenerator(id, vol, createFn) {
+    // Pass { spatial: false } for generators whose stereo image must survive,
+    // such as binaural beats, which an HRTF panner would fold down to mono
+    updateGenerator(id, vol, createFn, { spatial = true } = {}) {
+        if (this.lanes[id]) this.clearAutomation(id);
         if (!this.generators[id]) {
-            this.generators[id] = { gain: this.ctx.createGain(), nodes: [], active: false };
-            this.generators[id].gain.connect(this.masterGain);
+            const gain = this.ctx.createGain();
+            const tone = this.createToneChain(id);
+            const panner = spatial ? this.createPanner(id) : null;
+            gain.connect(tone.input);
+            if (panner) tone.output.connect(panner).connect(this.masterGain);
+            else tone.output.connect(this.masterGain);
+            gain.gain.value = 0;
+            this.generators[id] = { gain, tone, panner, nodes: [], active: false };
+            if (this.isOrbiting(id)) this.scheduleOrbits();
         }
         const gen = this.generators[id];
+        gen.createFn = createFn; // Kept so automation can start the generator on its own
         gen.gain.gain.setTargetAtTime(vol, this.ctx.currentTime, 0.1);
 
         if (vol > 0 && !gen.active) {
-            const result = createFn();
-            let outputNode, startables;
-            if (result.length === 1) { outputNode = result[0]; startables = [result[0]]; }
-            else { outputNode = result[result.length - 1]; startables = result.slice(0, result.length - 1); }
-
-            outputNode.connect(gen.gain);
-            startables.forEach(s => s.start());
-            gen.nodes = result;
-            gen.active = true;
+            this.startGenerator(id);
         } else if (vol === 0 && gen.active) {
             setTimeout(() => {
-                if (gen.gain.gain.value < 0.01) {
-                    gen.nodes.forEach(n => { if (n.stop) n.stop(); n.disconnect(); });
-                    gen.nodes = [];
-                    gen.active = false;
-                }
+                if (gen.gain.gain.value < 0.01 && !this.lanes[id]) this.stopGenerator(id);
             }, 200);
         }
     }
 
+    stopGenerator(id) {
+        const gen = this.generators[id];
+        gen.nodes.forEach(n => { if (n.stop) n.stop(); n.disconnect(); });
+        gen.nodes = [];
+        gen.schedule = null;
+        gen.active = false;
+    }
+
+    // Rebuilds a playing generator, e.g. after its settings changed
+    restartGenerator(id) {
+        if (!this.generators[id] || !this.generators[id].active) return;
+        this.stopGenerator(id);
+        this.startGenerator(id);
+    }
+
+    // createFn returns its nodes with the output last, or { nodes, schedule }
+    // for generators that need ongoing random automation. schedule(until) is
+    // called ahead of time to queue events on the audio clock up to `until`.
+    startGenerator(id) {
+        const gen = this.generators[id];
+        if (gen.active) return;
+        const result = gen.createFn();
+        const nodes = Array.isArray(result) ? result : result.nodes;
+        const outputNode = nodes[nodes.length - 1];
+
+        outputNode.connect(gen.gain);
+        nodes.forEach(n => { if (n.start) n.start(); });
+        gen.nodes = nodes;
+        gen.schedule = result.schedule || null;
+        gen.active = true;
+
+        if (gen.schedule) {
+            gen.schedule(this.ctx.currentTime + GENERATOR_LOOKAHEAD);
+            if (!this.schedulerInt) this.schedulerInt = setInterval(() => this.runSchedulers(), 1000);
+        }
+    }
+
+    // Also queues the crossfaded loop passes of playing tracks
+    runSchedulers(until = this.ctx.currentTime + GENERATOR_LOOKAHEAD) {
+        Object.values(this.generators).forEach(gen => {
+            if (gen.active && gen.schedule) gen.schedule(until);
+        });
+        Object.values(this.tracks).forEach(track => {
+            if (track.isPlaying && track.schedule) track.schedule(until);
+        });
+    }
+
     enableBrownNoise(vol) {
         this.updateGenerator('brown', vol, () => {
             const src = this.ctx.createBufferSource();
@@ -311,20 +903,318 @@ class AudioEngine {
         });
     }
 
+    // --- Procedural Generators ---
+    // Built from long noise loops under random, never-repeating modulation so
+    // no loop period is audible.
+    enableWind(vol) {
+        this.updateGenerator('wind', vol, () => {
+            const src = this.ctx.createBufferSource();
+            src.buffer = this.createNoiseBuffer('pink', 11);
+            src.loop = true;
+            const filter = this.ctx.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = 400;
+            filter.Q.value = 1.5;
+            const gust = this.ctx.createGain();
+            gust.gain.value = 0.4;
+            src.connect(filter).connect(gust);
+
+            let next = this.ctx.currentTime;
+            const schedule = until => {
+                while (next < until) {
+                    // A gust swells the level and sweeps the band upward
+                    const rise = 2 + Math.random() * 5;
+                    const strength = Math.random();
+                    filter.frequency.setTargetAtTime(300 + strength * 700, next, rise / 3);
+                    filter.Q.setTargetAtTime(1 + Math.random() * 3, next, rise / 3);
+                    gust.gain.setTargetAtTime(0.25 + strength * 0.75, next, rise / 3);
+                    next += rise + Math.random() * 4;
+                }
+            };
+            return { nodes: [src, filter, gust], schedule };
+        });
+    }
+
+    enableSurf(vol) {
+        this.updateGenerator('surf', vol, () => {
+            const src = this.ctx.createBufferSource();
+            src.buffer = this.createNoiseBuffer('brown', 13);
+            src.loop = true;
+            const filter = this.ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 400;
+            const swell = this.ctx.createGain();
+            swell.gain.value = 0.2;
+            src.connect(filter).connect(swell);
+
+            let next = this.ctx.currentTime;
+            const schedule = until => {
+                while (next < until) {
+                    // Each wave builds, breaks, then washes back out
+                    const build = 2 + Math.random() * 3;
+                    const wash = 3 + Math.random() * 4;
+                    const size = 0.5 + Math.random() * 0.5;
+                    swell.gain.setValueAtTime(0.15, next);
+                    swell.gain.linearRampToValueAtTime(size, next + build);
+                    swell.gain.exponentialRampToValueAtTime(0.15, next + build + wash);
+                    filter.frequency.setValueAtTime(400, next);
+                    filter.frequency.exponentialRampToValueAtTime(1200 + size * 1500, next + build);
+                    filter.frequency.exponentialRampToValueAtTime(400, next + build + wash);
+                    next += build + wash + Math.random() * 3;
+                }
+            };
+            return { nodes: [src, filter, swell], schedule };
+        });
+    }
+
+    enableCrackle(vol) {
+        this.updateGenerator('crackle', vol, () => {
+            // Low roar of the fire bed; pops are scheduled into `bus`
+            const bed = this.ctx.createBufferSource();
+            bed.buffer = this.createNoiseBuffer('brown', 9);
+            bed.loop = true;
+            const bedFilter = this.ctx.createBiquadFilter();
+            bedFilter.type = 'lowpass';
+            bedFilter.frequency.value = 250;
+            const bedGain = this.ctx.createGain();
+            bedGain.gain.value = 0.3;
+            const bus = this.ctx.createGain();
+            bed.connect(bedFilter).connect(bedGain).connect(bus);
+
+            const click = this.createNoiseBuffer('white', 0.03);
+            const clickData = click.getChannelData(0);
+            for (let i = 0; i < clickData.length; i++) clickData[i] *= Math.exp(-i / (clickData.length / 6));
+
+            let next = this.ctx.currentTime;
+            const schedule = until => {
+                while (next < until) {
+                    const pop = this.ctx.createBufferSource();
+                    pop.buffer = click;
+                    pop.playbackRate.value = 0.5 + Math.random() * 1.5;
+                    const band = this.ctx.createBiquadFilter();
+                    band.type = 'bandpass';
+                    band.frequency.value = 1500 + Math.random() * 4000;
+                    band.Q.value = 2;
+                    const level = this.ctx.createGain();
+                    level.gain.value = 0.2 + Math.random() * 0.8;
+                    pop.connect(band).connect(level).connect(bus);
+                    pop.start(next);
+                    // Pops come in bursts: mostly short gaps, now and then a lull
+                    next += Math.random() < 0.85 ? Math.random() * 0.25 : 0.5 + Math.random() * 1.5;
+                }
+            };
+            return { nodes: [bed, bedFilter, bedGain, bus], schedule };
+        });
+    }
+
+    enableHeartbeat(vol) {
+        this.updateGenerator('heartbeat', vol, () => {
+            const bus = this.ctx.createGain();
+            // Slow breath: filtered noise rising and falling under the beat
+            const breath = this.ctx.createBufferSource();
+            breath.buffer = this.createNoiseBuffer('brown', 7);
+            breath.loop = true;
+            const breathFilter = this.ctx.createBiquadFilter();
+            breathFilter.type = 'lowpass';
+            breathFilter.frequency.value = 300;
+            const breathGain = this.ctx.createGain();
+            breathGain.gain.value = 0.05;
+            breath.connect(breathFilter).connect(breathGain).connect(bus);
+
+            const thump = (when, freq, level) => {
+                const osc = this.ctx.createOscillator();
+                const env = this.ctx.createGain();
+                osc.frequency.setValueAtTime(freq, when);
+                osc.frequency.exponentialRampToValueAtTime(freq * 0.6, when + 0.25);
+                env.gain.setValueAtTime(0.0001, when);
+                env.gain.exponentialRampToValueAtTime(level, when + 0.02);
+                env.gain.exponentialRampToValueAtTime(0.0001, when + 0.3);
+                osc.connect(env).connect(bus);
+                osc.start(when);
+                osc.stop(when + 0.35);
+            };
+
+            let nextBeat = this.ctx.currentTime + 0.1;
+            let nextBreath = this.ctx.currentTime;
+            const schedule = until => {
+                while (nextBeat < until) {
+                    // "Lub-dub" at a resting dragon's ~48 bpm, never quite metronomic
+                    thump(nextBeat, 55, 0.9);
+                    thump(nextBeat + 0.28, 48, 0.6);
+                    nextBeat += (60 / 48) * (0.96 + Math.random() * 0.08);
+                }
+                while (nextBreath < until) {
+                    const inhale = 3 + Math.random();
+                    const exhale = 4 + Math.random() * 1.5;
+                    breathGain.gain.setValueAtTime(0.05, nextBreath);
+                    breathGain.gain.linearRampToValueAtTime(0.35, nextBreath + inhale);
+                    breathGain.gain.linearRampToValueAtTime(0.05, nextBreath + inhale + exhale);
+                    breathFilter.frequency.setValueAtTime(250, nextBreath);
+                    breathFilter.frequency.linearRampToValueAtTime(600, nextBreath + inhale);
+                    breathFilter.frequency.linearRampToValueAtTime(250, nextBreath + inhale + exhale);
+                    nextBreath += inhale + exhale + Math.random();
+                }
+            };
+            return { nodes: [breath, breathFilter, breathGain, bus], schedule };
+        });
+    }
+
     enableBinaural(type, vol) {
         const diff = type === 'focus' ? 40 : 4;
-        this.updateGenerator(`binaural-${type}`, vol, () => {
-            const oscL = this.ctx.createOscillator();
-            const oscR = this.ctx.createOscillator();
-            const merger = this.ctx.createChannelMerger(2);
-            oscL.frequency.value = 200;
-            oscR.frequency.value = 200 + diff;
-            oscL.connect(merger, 0, 0);
-            oscR.connect(merger, 0, 1);
-            return [oscL, oscR, merger];
+        this.enableBeat(`binaural-${type}`, { ...DEFAULT_BEAT, beat: diff }, vol);
+    }
+
+    // --- Beat Generator ---
+    // Binaural puts the carrier in the left ear and carrier + beat in the right,
+    // so it needs headphones. Isochronic pulses a single carrier on and off at
+    // the beat rate and works on speakers. An optional ramp glides the beat to
+    // `ramp.to` Hz over `ramp.minutes`, starting when the generator starts.
+    enableBeat(id, config, vol) {
+        const gen = this.generators[id];
+        const changed = gen && gen.config && JSON.stringify(gen.config) !== JSON.stringify(config);
+        this.updateGenerator(id, vol, () => this.createBeat(config), { spatial: false });
+        this.generators[id].config = config;
+        if (changed) this.restartGenerator(id);
+    }
+
+    createBeat({ carrier, beat, waveform, mode, ramp }) {
+        const now = this.ctx.currentTime;
+        const glide = (param, from, to) => {
+            param.setValueAtTime(from, now);
+            if (ramp) param.linearRampToValueAtTime(to, now + ramp.minutes * 60);
+        };
+
+        if (mode === 'isochronic') {
+            const osc = this.ctx.createOscillator();
+            osc.type = waveform;
+            osc.frequency.value = carrier;
+            // Soft-edged on/off pulses: a sine LFO squashed into the 0..1 range
+            const lfo = this.ctx.createOscillator();
+            glide(lfo.frequency, beat, ramp && ramp.to);
+            const shaper = this.ctx.createWaveShaper();
+            const curve = new Float32Array(256);
+            for (let i = 0; i < curve.length; i++) {
+                const x = (i / (curve.length - 1)) * 2 - 1;
+                curve[i] = 0.5 + 0.5 * Math.tanh(6 * x) / Math.tanh(6);
+            }
+            shaper.curve = curve;
+            const pulse = this.ctx.createGain();
+            pulse.gain.value = 0;
+            lfo.connect(shaper).connect(pulse.gain);
+            osc.connect(pulse);
+            return [osc, lfo, shaper, pulse];
+        }
+
+        const oscL = this.ctx.createOscillator();
+        const oscR = this.ctx.createOscillator();
+        const merger = this.ctx.createChannelMerger(2);
+        oscL.type = waveform;
+        oscR.type = waveform;
+        oscL.frequency.value = carrier;
+        glide(oscR.frequency, carrier + beat, ramp && carrier + ramp.to);
+        oscL.connect(merger, 0, 0);
+        oscR.connect(merger, 0, 1);
+        return [oscL, oscR, merger];
+    }
+
+    // --- Tone Shaping ---
+    // Every channel runs gain -> low shelf -> high shelf -> low-pass. Shelves
+    // are in dB, the low-pass cutoff in Hz (20kHz leaves the sound untouched).
+    createToneChain(id) {
+        const low = this.ctx.createBiquadFilter();
+        low.type = 'lowshelf';
+        low.frequency.value = 250;
+        const high = this.ctx.createBiquadFilter();
+        high.type = 'highshelf';
+        high.frequency.value = 4000;
+        const lowpass = this.ctx.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.Q.value = 0.7;
+        low.connect(high).connect(lowpass);
+
+        const tone = { input: low, output: lowpass, low, high, lowpass };
+        const settings = this.tones[id] || DEFAULT_TONE;
+        low.gain.value = settings.low;
+        high.gain.value = settings.high;
+        lowpass.frequency.value = settings.cutoff;
+        return tone;
+    }
+
+    setTone(id, settings) {
+        this.tones[id] = settings;
+        const channel = this.getChannel(id);
+        if (!channel || !channel.tone) return;
+        const now = this.ctx.currentTime;
+        channel.tone.low.gain.setTargetAtTime(settings.low, now, 0.05);
+        channel.tone.high.gain.setTargetAtTime(settings.high, now, 0.05);
+        channel.tone.lowpass.frequency.setTargetAtTime(settings.cutoff, now, 0.05);
+    }
+
+    // --- Automation Lanes ---
+    // A lane is a list of { start, duration, from, to } segments in seconds,
+    // scheduled on the channel gain as AudioParam ramps so it keeps time even
+    // when timers are throttled. Before the first segment the lane holds its
+    // `from`, between segments it holds the previous `to`.
+    getChannel(id) {
+        return this.tracks[id] || this.generators[id];
+    }
+
+    automate(id, segments, startTime = this.ctx.currentTime) {
+        const channel = this.getChannel(id);
+        if (!channel) {
+            // Tracks still decoding pick their lane up in loadTrack()
+            this.pendingLanes[id] = { segments, startTime };
+            this.loadIfIdle(id);
+            return;
+        }
+        if (!channel.gain) {
+            logAudioDebug(`Cannot automate ${id}: HTML5 fallback has no gain node`, 'warn');
+            return;
+        }
+
+        const now = this.ctx.currentTime;
+        const param = channel.gain.gain;
+        const sorted = [...segments].sort((a, b) => a.start - b.start);
+        this.lanes[id] = { segments: sorted, startTime };
+
+        if (this.tracks[id]) this.startTrackSource(id);
+        else this.startGenerator(id);
+
+        // Join a lane that started in the past at its current value
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(laneValueAt(sorted, now - startTime), now);
+        sorted.forEach(seg => {
+            const segStart = startTime + seg.start;
+            const segEnd = segStart + seg.duration;
+            if (segEnd <= now) return;
+            if (segStart > now) param.setValueAtTime(seg.from, segStart);
+            if (seg.duration > 0) param.linearRampToValueAtTime(seg.to, segEnd);
+            else param.setValueAtTime(seg.to, segEnd);
         });
     }
 
+    clearAutomation(id) {
+        delete this.lanes[id];
+        delete this.pendingLanes[id];
+        const channel = this.getChannel(id);
+        if (!channel || !channel.gain) return;
+        const param = channel.gain.gain;
+        param.cancelScheduledValues(this.ctx.currentTime);
+        param.setValueAtTime(param.value, this.ctx.currentTime);
+    }
+
+    // Night mode swaps the gentle glue compression for heavy range compression
+    // with makeup gain: quiet detail comes up, peaks like thunder stay down
+    setNightMode(enabled) {
+        this.nightMode = enabled;
+        const settings = enabled ? MASTER_DYNAMICS.night : MASTER_DYNAMICS.normal;
+        const now = this.ctx.currentTime;
+        ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach(key => {
+            this.compressor[key].setTargetAtTime(settings[key], now, 0.2);
+        });
+        this.makeup.gain.setTargetAtTime(Math.pow(10, settings.makeup / 20), now, 0.2);
+    }
+
     toggleMasterMute() {
         this.isMuted = !this.isMuted;
         const target = this.isMuted ? 0 : this.masterVolume;
@@ -338,46 +1228,81 @@ class AudioEngine {
         return !this.isMuted;
     }
 
+    // Visualizer levels (0-1): low (20-250 Hz), mid (250 Hz-2 kHz), high
+    // (2-12 kHz) and their average. `active` says whether anything is meant
+    // to be sounding, so a very quiet mix can still wake the dragon.
     getAnalysis() {
-        const data = new Uint8Array(this.analyser.frequencyBinCount);
+        if (!this.analysisData) this.analysisData = new Uint8Array(this.analyser.frequencyBinCount);
+        const data = this.analysisData;
         this.analyser.getByteFrequencyData(data);
-        // Average magnitude from frequency data
-        let sum = 0;
-        for (let i = 0; i < data.length; i++) sum += data[i];
-        let freqIntensity = sum / data.length; // 0-255
-
-        // Also check if any tracks are actively playing (fallback for quiet sounds)
-        let hasActiveAudio = false;
-        for (const id in this.tracks) {
-            const track = this.tracks[id];
-            // Check buffer-based tracks (isPlaying flag)
-            if (track.isPlaying) {
-                hasActiveAudio = true;
-                break;
-            }
-            // Check HTML5 fallback tracks (element.paused property)
-            if (track.element && !track.element.paused && track.element.volume > 0) {
-                hasActiveAudio = true;
-                break;
-            }
-        }
-        // Check generators too
-        if (!hasActiveAudio) {
-            for (const id in this.generators) {
-                const gen = this.generators[id];
-                if (gen.active) {
-                    hasActiveAudio = true;
-                    break;
-                }
-            }
-        }
+        const binHz = this.ctx.sampleRate / this.analyser.fftSize;
+        const band = (from, to) => {
+            const start = Math.max(1, Math.floor(from / binHz));
+            const end = Math.min(data.length, Math.ceil(to / binHz));
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += data[i];
+            return end > start ? sum / (end - start) / 255 : 0;
+        };
+        const low = band(20, 250);
+        const mid = band(250, 2000);
+        const high = band(2000, 12000);
 
-        // If we have active audio but frequency data is low, return minimum threshold
-        if (hasActiveAudio && freqIntensity < 15) {
-            freqIntensity = 25; // Minimum to trigger eye open
-        }
+        // Buffer tracks flag isPlaying, HTML5 fallbacks have a playing element
+        const active = !this.isMuted && (
+            Object.values(this.tracks).some(track => track.isPlaying ||
+                (track.element && !track.element.paused && track.element.volume > 0)) ||
+            Object.values(this.generators).some(gen => gen.active));
 
-        return freqIntensity;
+        return { low, mid, high, level: (low + mid + high) / 3, active };
+    }
+
+    // Snapshot of the graph for the diagnostics panel and bug reports
+    getDiagnostics() {
+        const round = (v, digits = 3) => Math.round(v * 10 ** digits) / 10 ** digits;
+        // Panners without positionX (setPosition() only) have nothing to read back
+        const pan = panner => panner && panner.positionX
+            ? `${round(panner.positionX.value, 2)},${round(panner.positionY.value, 2)},${round(panner.positionZ.value, 2)}`
+            : null;
+        const trackIds = new Set([...Object.keys(this.loadStates), ...Object.keys(this.tracks)]);
+        return {
+            context: {
+                state: this.ctx.state,
+                sampleRate: this.ctx.sampleRate,
+                currentTime: round(this.ctx.currentTime, 2),
+                baseLatency: this.ctx.baseLatency,
+            },
+            master: {
+                muted: this.isMuted,
+                gain: round(this.masterGain.gain.value),
+                fade: round(this.fadeGain.gain.value),
+                nightMode: this.nightMode,
+                spatial: this.spatialEnabled,
+                compressorReduction: round(this.compressor.reduction, 1),
+                limiterReduction: round(this.limiter.reduction, 1),
+            },
+            level: round(this.getAnalysis().level),
+            tracks: [...trackIds].map(id => {
+                const track = this.tracks[id];
+                const load = this.loadStates[id];
+                return {
+                    id,
+                    status: load ? load.status : 'decoded',
+                    type: track ? track.type : null,
+                    playing: track ? (track.type === 'buffer' ? track.isPlaying : !track.element.paused) : false,
+                    gain: track ? round(track.gain ? track.gain.gain.value : track.element.volume) : null,
+                    pan: track ? pan(track.panner) : null,
+                    sources: track && track.sources ? track.sources.length : 0,
+                };
+            }),
+            generators: Object.entries(this.generators).map(([id, gen]) => ({
+                id,
+                active: gen.active,
+                nodes: gen.nodes.length,
+                gain: round(gen.gain.gain.value),
+                pan: pan(gen.panner),
+            })),
+            lanes: Object.keys(this.lanes),
+        };
     }
 
     // --- Media Session API ---
@@ -413,99 +1338,466 @@ class AudioEngine {
     }
 }
 
-// --- App ---
-const audio = new AudioEngine();
-const state = {
-    volumes: {},
-    timer: 0,
-};
+const DEFAULT_TONE = { low: 0, high: 0, cutoff: 20000 };
 
-document.addEventListener('DOMContentLoaded', async () => {
-    const trackIds = ['valley-audio', 'sleeping-audio', 'rain-audio', 'fireplace-audio'];
+// Returns valid tone settings or null
+function sanitizeTone(tone) {
+    if (!tone || typeof tone !== 'object') return null;
+    const inRange = (v, min, max) => typeof v === 'number' && v >= min && v <= max;
+    if (!inRange(tone.low, -12, 12) || !inRange(tone.high, -12, 12) || !inRange(tone.cutoff, 200, 20000)) return null;
+    return { low: tone.low, high: tone.high, cutoff: tone.cutoff };
+}
 
-    // Load tracks in background (fire and forget)
-    trackIds.forEach(id => {
-        const el = document.getElementById(id);
-        if (el) {
-            el.loop = true;
-            audio.addTrack(id);
-        }
-    });
+const DEFAULT_BEAT = { carrier: 200, beat: 6, waveform: 'sine', mode: 'binaural', ramp: null };
+const BEAT_BANDS = { delta: 2, theta: 6, alpha: 10, beta: 20, gamma: 40 };
 
-    setupControls();
-    setupProductivity();
-    initVisuals();
-    initBackgrounds();
-    setupKeyboard();
+// Returns a valid beat config or null
+function sanitizeBeat(cfg) {
+    if (!cfg || typeof cfg !== 'object') return null;
+    const inRange = (v, min, max) => typeof v === 'number' && v >= min && v <= max;
+    if (!inRange(cfg.carrier, 20, 1500) || !inRange(cfg.beat, 0.5, 100)) return null;
+    if (!['sine', 'triangle', 'square', 'sawtooth'].includes(cfg.waveform)) return null;
+    if (!['binaural', 'isochronic'].includes(cfg.mode)) return null;
+    let ramp = null;
+    if (cfg.ramp) {
+        if (!inRange(cfg.ramp.to, 0.5, 100) || !inRange(cfg.ramp.minutes, 1, 600)) return null;
+        ramp = { to: cfg.ramp.to, minutes: cfg.ramp.minutes };
+    }
+    return { carrier: cfg.carrier, beat: cfg.beat, waveform: cfg.waveform, mode: cfg.mode, ramp };
+}
 
-    // Minimalist Toggle
-    document.getElementById('minimalist-btn').addEventListener('click', () => {
-        document.body.classList.toggle('minimalist');
-    });
-});
+// Pomodoro lengths in minutes; a preset name of '' leaves the mix alone
+const DEFAULT_POMODORO = {
+    focus: 25, shortBreak: 5, longBreak: 15, longEvery: 4,
+    autoStart: false, focusPreset: '', breakPreset: '',
+};
 
-function setupControls() {
-    // Helper to update sound card UI (active state + volume indicator)
-    function updateSoundCardUI(slider) {
-        const card = slider.closest('.sound-card');
-        if (card) {
-            const val = parseFloat(slider.value);
-            const max = parseFloat(slider.max);
-            const normalized = val / max;
-
-            // Update volume indicator bar
-            const indicator = card.querySelector('.volume-indicator');
-            if (indicator) {
-                indicator.style.transform = `scaleX(${normalized})`;
-            }
+// Stored Pomodoro settings, each unusable one back at its default
+function sanitizePomodoro(settings) {
+    const data = settings && typeof settings === 'object' ? settings : {};
+    const clean = { ...DEFAULT_POMODORO };
+    ['focus', 'shortBreak', 'longBreak', 'longEvery'].forEach(key => {
+        if (Number.isInteger(data[key]) && data[key] > 0) clean[key] = data[key];
+    });
+    if (typeof data.autoStart === 'boolean') clean.autoStart = data.autoStart;
+    ['focusPreset', 'breakPreset'].forEach(key => {
+        if (typeof data[key] === 'string') clean[key] = data[key];
+    });
+    return clean;
+}
 
-            // Toggle active state
-            if (val > 0) {
-                card.classList.add('active');
-            } else {
-                card.classList.remove('active');
-            }
-        }
+// Metres between the listener and the edge of the keep map
+const SPATIAL_RADIUS = 3;
+
+// Decoded loops are trimmed towards this gated RMS level (dBFS), about where
+// the generated noise sits, by at most LOUDNESS_MAX_TRIM dB either way
+const LOUDNESS_TARGET = -16;
+const LOUDNESS_MAX_TRIM = 12;
+
+// Master compressor settings; makeup gain is in dB
+const MASTER_DYNAMICS = {
+    normal: { threshold: -18, knee: 12, ratio: 2.5, attack: 0.02, release: 0.3, makeup: 0 },
+    night: { threshold: -36, knee: 18, ratio: 6, attack: 0.005, release: 0.5, makeup: 9 },
+};
+
+// Seconds of random generator automation (and crossfaded track loop passes)
+// queued ahead of the audio clock
+const GENERATOR_LOOKAHEAD = 10;
+// Seconds of orbit movement kept queued on the audio clock
+const ORBIT_LOOKAHEAD = 30;
+
+// Waits (ms) before each retry of a track that failed to download
+const TRACK_RETRY_DELAYS = [1000, 4000, 15000];
+// How long the <audio> fallback may take to report it can play
+const FALLBACK_TIMEOUT = 10000;
+
+// Value of an automation lane `t` seconds after it started
+function laneValueAt(segments, t) {
+    let value = segments.length ? segments[0].from : 0;
+    for (const seg of segments) {
+        if (t < seg.start) break;
+        if (t >= seg.start + seg.duration) value = seg.to;
+        else value = seg.from + (seg.to - seg.from) * (t - seg.start) / seg.duration;
     }
+    return value;
+}
 
-    const sliderMap = {
-        'vol-valley': 'valley-audio', 'vol-sleeping': 'sleeping-audio',
-        'vol-rain': 'rain-audio', 'vol-fireplace': 'fireplace-audio'
-    };
-    Object.keys(sliderMap).forEach(sliderId => {
-        const slider = document.getElementById(sliderId);
-        slider.addEventListener('input', (e) => {
-            const val = parseFloat(e.target.value);
-            audio.setTrackVolume(sliderMap[sliderId], val);
-            state.volumes[sliderId] = val;
-            updateSoundCardUI(e.target);
-        });
+// --- Sound Catalog ---
+// Every built-in sound. Cards, sliders, engine wiring and preset keys
+// (`vol-<id>`) are generated from this list. `channel` is the engine
+// track/generator id; file sounds are decoded from `src`, generator sounds
+// are driven through `enable(engine, vol)`. `defaultVolume` is used when
+// the app turns a sound on by itself. `visual` names the visualizer layer the
+// sound strengthens ('rain' streaks, denser 'embers', 'wind' drift).
+const SOUND_CATEGORIES = [
+    { id: 'ambient', name: 'Ambient Sounds' },
+    { id: 'noise', name: 'Noise' },
+    { id: 'brainwave', name: 'Brainwave' },
+    { id: 'elements', name: 'Elements' },
+];
+
+const SOUND_CATALOG = [
+    {
+        id: 'valley', name: 'Dragon Valley', category: 'ambient', source: 'file', src: 'sounds/dragon-valley.mp3',
+        channel: 'valley-audio', max: 1, defaultVolume: 0.3,
+        icon: '<path d="m8 3 4 8 5-5 5 15H2L8 3z" />',
+    },
+    {
+        id: 'sleeping', name: 'Sleeping Dragon', category: 'ambient', source: 'file', src: 'sounds/sleeping-dragon.mp3',
+        channel: 'sleeping-audio', max: 1, defaultVolume: 0.3,
+        icon: '<path d="M2 4v16" /><path d="M2 8h18a2 2 0 0 1 2 2v10" /><path d="M2 17h20" /><path d="M6 8v9" />',
+    },
+    {
+        id: 'rain', name: 'Rain', category: 'ambient', source: 'file', src: 'sounds/rain.mp3',
+        channel: 'rain-audio', max: 1, defaultVolume: 0.3, visual: 'rain',
+        icon: '<path d="M4 14.899A7 7 0 1 1 15.71 8h1.79a4.5 4.5 0 0 1 2.5 8.242" /><path d="M16 14v6" /><path d="M8 14v6" /><path d="M12 16v6" />',
+    },
+    {
+        id: 'fireplace', name: 'Fireplace', category: 'ambient', source: 'file', src: 'sounds/fireplace.mp3',
+        channel: 'fireplace-audio', max: 1, defaultVolume: 0.3, visual: 'embers',
+        icon: '<path d="M8.5 14.5A2.5 2.5 0 0 0 11 12c0-1.38-.5-2-1-3-1.072-2.143-.224-4.054 2-6 .5 2.5 2 4.9 4 6.5 2 1.6 3 3.5 3 5.5a7 7 0 1 1-14 0c0-1.115.385-2.256 1-3.24A8.8 8.8 0 0 1 8.5 14.5Z" />',
+    },
+    {
+        id: 'brown', name: 'Brown', category: 'noise', source: 'generator', channel: 'brown',
+        enable: (engine, vol) => engine.enableBrownNoise(vol), max: 0.5, defaultVolume: 0.15,
+        icon: '<path d="M2 12h20M2 12c2 4 5 4 7 0 3-4 6-4 8 0 1 2 3 2 5 0" />',
+    },
+    {
+        id: 'pink', name: 'Pink', category: 'noise', source: 'generator', channel: 'pink',
+        enable: (engine, vol) => engine.enablePinkNoise(vol), max: 0.5, defaultVolume: 0.15,
+        icon: '<path d="M2 12c2 4 5 4 7 0 3-4 6-4 8 0 1 2 3 2 5 0" />',
+    },
+    {
+        id: 'green', name: 'Green', category: 'noise', source: 'generator', channel: 'green',
+        enable: (engine, vol) => engine.enableGreenNoise(vol), max: 0.5, defaultVolume: 0.15,
+        icon: '<path d="M11 20A7 7 0 0 1 9.8 6.1C15.5 5 17 4.48 19 2c1 2 2 4.18 2 8 0 5.5-4.77 10.3-9.69 10.3z" />',
+    },
+    // Brainwave sounds skip the spatial panner so their left/right difference survives
+    {
+        id: 'binaural-40', name: 'Focus 40Hz', category: 'brainwave', source: 'generator', channel: 'binaural-focus',
+        enable: (engine, vol) => engine.enableBinaural('focus', vol), max: 1, defaultVolume: 0.2, spatial: false,
+        icon: '<circle cx="12" cy="12" r="10" /><path d="M12 6v6l4 2" />',
+    },
+    {
+        id: 'binaural-4', name: 'Sleep 4Hz', category: 'brainwave', source: 'generator', channel: 'binaural-sleep',
+        enable: (engine, vol) => engine.enableBinaural('sleep', vol), max: 1, defaultVolume: 0.2, spatial: false,
+        icon: '<path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z" />',
+    },
+    {
+        id: 'beat', name: 'Custom Beat', category: 'brainwave', source: 'generator', channel: 'beat',
+        enable: (engine, vol) => engine.enableBeat('beat', state.beat, vol), max: 1, defaultVolume: 0.2, spatial: false,
+        icon: '<path d="M2 12h3l3-8 4 16 4-12 2 4h4" />',
+    },
+    {
+        id: 'wind', name: 'Wind', category: 'elements', source: 'generator', channel: 'wind',
+        enable: (engine, vol) => engine.enableWind(vol), max: 0.5, defaultVolume: 0.2, visual: 'wind',
+        icon: '<path d="M17.7 7.7a2.5 2.5 0 1 1 1.8 4.3H2" /><path d="M9.6 4.6A2 2 0 1 1 11 8H2" /><path d="M12.6 19.4A2 2 0 1 0 14 16H2" />',
+    },
+    {
+        id: 'surf', name: 'Surf', category: 'elements', source: 'generator', channel: 'surf',
+        enable: (engine, vol) => engine.enableSurf(vol), max: 0.5, defaultVolume: 0.2,
+        icon: '<path d="M2 6c.6.5 1.2 1 2.5 1C7 7 7 5 9.5 5c2.6 0 2.4 2 5 2 2.5 0 2.5-2 5-2 1.3 0 1.9.5 2.5 1" /><path d="M2 12c.6.5 1.2 1 2.5 1 2.5 0 2.5-2 5-2 2.6 0 2.4 2 5 2 2.5 0 2.5-2 5-2 1.3 0 1.9.5 2.5 1" /><path d="M2 18c.6.5 1.2 1 2.5 1 2.5 0 2.5-2 5-2 2.6 0 2.4 2 5 2 2.5 0 2.5-2 5-2 1.3 0 1.9.5 2.5 1" />',
+    },
+    {
+        id: 'crackle', name: 'Crackle', category: 'elements', source: 'generator', channel: 'crackle',
+        enable: (engine, vol) => engine.enableCrackle(vol), max: 1, defaultVolume: 0.3, visual: 'embers',
+        icon: '<path d="M9.937 15.5A2 2 0 0 0 8.5 14.063l-6.135-1.582a.5.5 0 0 1 0-.962L8.5 9.936A2 2 0 0 0 9.937 8.5l1.582-6.135a.5.5 0 0 1 .963 0L14.063 8.5A2 2 0 0 0 15.5 9.937l6.135 1.581a.5.5 0 0 1 0 .964L15.5 14.063a2 2 0 0 0-1.437 1.437l-1.582 6.135a.5.5 0 0 1-.963 0z" />',
+    },
+    {
+        id: 'heartbeat', name: 'Dragon Heart', category: 'elements', source: 'generator', channel: 'heartbeat',
+        enable: (engine, vol) => engine.enableHeartbeat(vol), max: 1, defaultVolume: 0.3,
+        icon: '<path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z" /><path d="M3.22 12H9.5l.5-1 2 4.5 2-7 1.5 3.5h5.27" />',
+    },
+];
+
+// Keep Map orbit choices; here because stored layouts are checked at load
+const ORBIT_SPEEDS = [0, 0.25, 1, 3, -0.25, -1, -3]; // Revolutions per minute
+
+// Parsed localStorage value, or `fallback` when it is missing or unreadable
+function readJSON(key, fallback) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return value === null ? fallback : value;
+    } catch (e) {
+        logAudioDebug(`Ignoring unreadable ${key}: ${e.message}`, 'warn');
+        return fallback;
+    }
+}
+
+// Stored slider id -> settings map, keeping only the entries `sanitize` accepts
+function readSettingsMap(key, sanitize) {
+    const data = readJSON(key, {});
+    const map = {};
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return map;
+    Object.entries(data).forEach(([id, value]) => {
+        const clean = sanitize(value);
+        if (clean) map[id] = clean;
     });
+    return map;
+}
 
-    document.getElementById('vol-brown').addEventListener('input', e => {
-        audio.enableBrownNoise(parseFloat(e.target.value));
-        state.volumes['vol-brown'] = parseFloat(e.target.value);
-        updateSoundCardUI(e.target);
+// --- App ---
+const audio = new AudioEngine();
+const state = {
+    volumes: {},
+    timer: 0,
+    background: 'obsidian',
+    automation: [], // Segments: { sound, from, to, start, duration } (minutes)
+    beat: sanitizeBeat(readJSON('dragon_beat', null)) || { ...DEFAULT_BEAT },
+    tone: readSettingsMap('dragon_tone', sanitizeTone), // Slider id -> tone settings
+    layout: readSettingsMap('dragon_layout', sanitizePosition), // Slider id -> { x, z, orbit }
+    nightMode: localStorage.getItem('dragon_night') === '1',
+    loop: sanitizeLoop(readJSON('dragon_loop', null)),
+    offline: readSettingsMap('dragon_offline', keep => keep === true), // Slider id -> true when kept offline
+    collapsed: sanitizeCollapsed(readJSON('dragon_collapsed', [])), // Collapsed category ids
+    pomodoro: sanitizePomodoro(readJSON('dragon_pomodoro', null)),
+    visuals: localStorage.getItem('dragon_visuals') || 'full', // Key of VISUAL_MODES
+    power: sanitizePower(readJSON('dragon_power', null)),
+    ab: sanitizeAB(readJSON('dragon_ab', null)),
+    muted: new Set(), // Slider ids silenced without losing their level
+    solo: null, // Slider id playing on its own, if any
+    evolve: sanitizeEvolve(readJSON('dragon_evolve', null)),
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    renderSoundLibrary();
+
+    // Tracks load when first raised; their cards show how that is going
+    audio.onTrackState = renderTrackState;
+    SOUND_CATALOG.filter(sound => sound.source === 'file').forEach(sound => audio.registerTrack(sound.channel));
+
+    setupControls();
+    setupProductivity();
+    initVisuals();
+    setupPowerSaving();
+    setupKeyboard();
+    setupMuteSolo();
+    setupABCompare();
+    setupBeatGenerator();
+    setupToneControls();
+    setupKeepMap();
+    setupAutomation();
+    setupEvolve();
+    setupAlarm();
+    // Before shared links are opened, so they can use custom sounds and themes.
+    // Side by side, so the saved theme is up before either reads the database.
+    await Promise.all([setupCustomSounds(), setupThemes()]);
+    setupSharing();
+    setupAudioExport();
+    setupStats();
+    setupOffline();
+    setupDiagnostics();
+
+    // Minimalist Toggle
+    document.getElementById('minimalist-btn').addEventListener('click', () => {
+        document.body.classList.toggle('minimalist');
     });
-    document.getElementById('vol-pink').addEventListener('input', e => {
-        audio.enablePinkNoise(parseFloat(e.target.value));
-        state.volumes['vol-pink'] = parseFloat(e.target.value);
-        updateSoundCardUI(e.target);
+});
+
+// Engine channel (track or generator id) behind each volume slider; custom
+// sounds add themselves as they are loaded
+const CHANNEL_IDS = {};
+SOUND_CATALOG.forEach(sound => CHANNEL_IDS[`vol-${sound.id}`] = sound.channel);
+
+// A sound card as generated for catalog and custom sounds. `icon` is SVG
+// markup from the catalog, never user input.
+function createSoundCard({ id, name, icon, max }) {
+    const card = document.createElement('div');
+    card.className = 'sound-card bg-stone-900/80 p-3 md:p-4 rounded-xl border border-stone-800 shadow-lg flex flex-col items-center gap-3 backdrop-blur-sm relative overflow-hidden';
+    card.dataset.sound = id;
+    card.innerHTML = `
+        <div class="sound-icon p-2 md:p-3 rounded-full bg-stone-950 border border-stone-800 text-stone-400">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${icon}</svg>
+        </div>
+        <span id="label-${id}" class="text-xs md:text-sm font-semibold text-stone-400 uppercase tracking-wider text-center truncate max-w-full"></span>
+        <input type="range" id="vol-${id}" min="0" max="${max}" step="0.01" value="0.0" class="w-full" aria-labelledby="label-${id}" aria-valuetext="Off">
+        <div class="volume-indicator" style="transform: scaleX(0);"></div>
+        <div class="card-tools absolute top-2 left-2 flex flex-col md:flex-row items-center gap-1">
+            <button class="mute-btn" aria-pressed="false">M</button>
+            <button class="solo-btn" aria-pressed="false">S</button>
+        </div>`;
+    card.querySelector('span').textContent = name;
+    card.querySelector('.mute-btn').setAttribute('aria-label', `Mute ${name}`);
+    card.querySelector('.solo-btn').setAttribute('aria-label', `Solo ${name}`);
+    return card;
+}
+
+// The <audio> element addTrack() decodes from (and falls back to)
+function createTrackElement(id, src) {
+    const element = document.createElement('audio');
+    element.id = id;
+    element.src = src;
+    element.loop = true;
+    element.preload = 'none';
+    element.className = 'hidden';
+    document.body.appendChild(element);
+    return element;
+}
+
+function renderSoundLibrary() {
+    const library = document.getElementById('sound-library');
+    SOUND_CATEGORIES.forEach(category => {
+        const section = document.createElement('section');
+        section.className = 'sound-category w-full flex flex-col items-center';
+        section.dataset.category = category.id;
+        section.innerHTML = `
+            <h2 class="section-header mt-8 mb-4"><button class="category-toggle"></button></h2>
+            <div class="category-grid grid grid-cols-2 md:grid-cols-4 gap-3 md:gap-4 w-full max-w-[1400px] px-2 md:px-4"></div>`;
+        section.querySelector('.category-toggle').textContent = category.name;
+        const grid = section.querySelector('.category-grid');
+        SOUND_CATALOG.filter(sound => sound.category === category.id).forEach(sound => {
+            grid.appendChild(createSoundCard(sound));
+            if (sound.source === 'file') createTrackElement(sound.channel, sound.src);
+        });
+        library.appendChild(section);
     });
-    document.getElementById('vol-green').addEventListener('input', e => {
-        audio.enableGreenNoise(parseFloat(e.target.value));
-        state.volumes['vol-green'] = parseFloat(e.target.value);
-        updateSoundCardUI(e.target);
+    setupCategoryFilter();
+}
+
+// Stored collapsed category ids, without anything that isn't one
+function sanitizeCollapsed(ids) {
+    return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+}
+
+// Filter chips show one category (or all); section headers collapse them
+function setupCategoryFilter() {
+    const filter = document.getElementById('category-filter');
+    const sections = document.querySelectorAll('.sound-category');
+    const chips = [{ id: 'all', name: 'All' }, ...SOUND_CATEGORIES, { id: 'custom', name: 'Your Sounds' }];
+
+    const setCollapsed = (section, collapsed) => {
+        section.classList.toggle('collapsed', collapsed);
+        section.querySelector('.category-toggle').setAttribute('aria-expanded', String(!collapsed));
+    };
+
+    chips.forEach(({ id, name }) => {
+        const chip = document.createElement('button');
+        chip.className = 'category-chip px-3 py-1 rounded-full border border-stone-800 text-stone-500 text-xs uppercase tracking-widest hover:border-red-900 hover:text-amber-100 transition-all';
+        chip.dataset.category = id;
+        chip.textContent = name;
+        chip.addEventListener('click', () => {
+            filter.querySelectorAll('.category-chip').forEach(c => c.classList.toggle('chip-active', c === chip));
+            sections.forEach(section => {
+                const shown = id === 'all' || section.dataset.category === id;
+                section.classList.toggle('hidden', !shown);
+                if (shown && id !== 'all') setCollapsed(section, false);
+            });
+        });
+        filter.appendChild(chip);
     });
-    document.getElementById('vol-binaural-40').addEventListener('input', e => {
-        audio.enableBinaural('focus', parseFloat(e.target.value));
-        state.volumes['vol-binaural-40'] = parseFloat(e.target.value);
-        updateSoundCardUI(e.target);
+    filter.querySelector('.category-chip').classList.add('chip-active');
+
+    sections.forEach(section => {
+        const category = section.dataset.category;
+        setCollapsed(section, state.collapsed.includes(category));
+        section.querySelector('.category-toggle').addEventListener('click', () => {
+            const collapsed = !section.classList.contains('collapsed');
+            setCollapsed(section, collapsed);
+            state.collapsed = state.collapsed.filter(id => id !== category);
+            if (collapsed) state.collapsed.push(category);
+            localStorage.setItem('dragon_collapsed', JSON.stringify(state.collapsed));
+        });
     });
-    document.getElementById('vol-binaural-4').addEventListener('input', e => {
-        audio.enableBinaural('sleep', parseFloat(e.target.value));
-        state.volumes['vol-binaural-4'] = parseFloat(e.target.value);
-        updateSoundCardUI(e.target);
+}
+
+const formatMB = bytes => (bytes / 1048576).toFixed(1);
+
+// Shows a track's loading state (see AudioEngine.loadStates) on its card
+function renderTrackState(trackId, info) {
+    const sliderId = Object.keys(CHANNEL_IDS).find(id => CHANNEL_IDS[id] === trackId);
+    const slider = sliderId && document.getElementById(sliderId);
+    if (!slider) return;
+    const card = slider.closest('.sound-card');
+    let status = card.querySelector('.track-status');
+    if (!status) {
+        status = document.createElement('div');
+        status.className = 'track-status';
+        status.setAttribute('role', 'status');
+        status.innerHTML = '<span></span><button class="track-retry">Retry</button>';
+        status.querySelector('button').setAttribute('aria-label', `Retry loading ${getSoundLabel(sliderId)}`);
+        status.querySelector('button').addEventListener('click', () => audio.retryTrack(trackId));
+        card.appendChild(status);
+    }
+
+    const text = status.querySelector('span');
+    const { loaded = 0, total = 0, attempt = 0 } = info;
+    status.title = '';
+    if (info.status === 'loading' && !loaded && attempt) {
+        text.textContent = `Retrying (${attempt}/${TRACK_RETRY_DELAYS.length})…`;
+    } else if (info.status === 'loading') {
+        text.textContent = total ? `Loading ${Math.round(loaded / total * 100)}%` : `Loading ${formatMB(loaded)} MB`;
+        if (total) status.title = `${formatMB(loaded)} of ${formatMB(total)} MB`;
+    } else if (info.status === 'fallback') {
+        text.textContent = 'Basic playback';
+        status.title = `Could not be decoded (${info.error}), so tone, spatial and automation are off for this sound`;
+    } else if (info.status === 'failed') {
+        text.textContent = 'Failed to load';
+        status.title = info.error;
+        announce(`${getSoundLabel(sliderId)} failed to load`);
+    }
+    status.classList.toggle('hidden', info.status === 'idle' || info.status === 'decoded');
+    status.querySelector('button').classList.toggle('hidden', info.status !== 'failed' && info.status !== 'fallback');
+    card.classList.toggle('load-failed', info.status === 'failed');
+}
+
+// Helper to update sound card UI (active state + volume indicator)
+function updateSoundCardUI(slider) {
+    const card = slider.closest('.sound-card');
+    if (card) {
+        const val = parseFloat(slider.value);
+        const max = parseFloat(slider.max);
+        const normalized = val / max;
+
+        // Update volume indicator bar
+        const indicator = card.querySelector('.volume-indicator');
+        if (indicator) {
+            indicator.style.transform = `scaleX(${normalized})`;
+        }
+
+        // Toggle active state
+        if (val > 0) {
+            card.classList.add('active');
+        } else {
+            card.classList.remove('active');
+        }
+
+        const silenced = audibleVolume(slider.id) === 0 && val > 0;
+        card.classList.toggle('muted', silenced);
+        card.classList.toggle('soloed', state.solo === slider.id);
+        card.querySelector('.mute-btn').setAttribute('aria-pressed', String(state.muted.has(slider.id)));
+        card.querySelector('.solo-btn').setAttribute('aria-pressed', String(state.solo === slider.id));
+        slider.setAttribute('aria-valuetext', val > 0
+            ? `${Math.round(normalized * 100)}%${silenced ? ', muted' : ''}`
+            : 'Off');
+    }
+}
+
+function getSoundLabel(sliderId) {
+    const card = document.getElementById(sliderId).closest('.sound-card');
+    return card ? card.querySelector('span').textContent.replace(/\s+/g, ' ').trim() : sliderId;
+}
+
+// Stored loop settings, with the defaults for anything unusable
+function sanitizeLoop(loop) {
+    const data = loop && typeof loop === 'object' ? loop : {};
+    return {
+        crossfade: typeof data.crossfade === 'number' && isFinite(data.crossfade) && data.crossfade >= 0 ? data.crossfade : 3,
+        randomStart: typeof data.randomStart === 'boolean' ? data.randomStart : true,
+    };
+}
+
+function setupControls() {
+    SOUND_CATALOG.forEach(sound => {
+        const sliderId = `vol-${sound.id}`;
+        if (sound.source === 'file') {
+            bindTrackSlider(sliderId, sound.channel);
+            return;
+        }
+        document.getElementById(sliderId).addEventListener('input', e => {
+            state.volumes[sliderId] = parseFloat(e.target.value);
+            sound.enable(audio, audibleVolume(sliderId));
+            updateSoundCardUI(e.target);
+        });
     });
 
     const btn = document.getElementById('master-btn');
@@ -516,24 +1808,16 @@ function setupControls() {
         if (!hasInteractedWithAudio) {
             hasInteractedWithAudio = true;
             let currentTotalVol = 0;
-            // Check ambient sliders
-            Object.values(sliderMap).forEach(id => {
-                // Find slider key for this id
-                const key = Object.keys(sliderMap).find(k => sliderMap[k] === id);
-                const el = document.getElementById(key);
-                if (el) currentTotalVol += parseFloat(el.value);
-            });
-            // Also check generators? (Usually they are 0 at start)
+            getVolumeSliders().forEach(el => currentTotalVol += parseFloat(el.value));
 
+            // Start one of the ambient recordings at its default volume
             if (currentTotalVol === 0) {
-                const keys = Object.keys(sliderMap);
-                const randomKey = keys[Math.floor(Math.random() * keys.length)];
-                const el = document.getElementById(randomKey);
-                if (el) {
-                    el.value = 0.3;
-                    el.dispatchEvent(new Event('input'));
-                    logAudioDebug(`Auto-selected ${randomKey} at 30%`);
-                }
+                const ambient = SOUND_CATALOG.filter(sound => sound.category === 'ambient');
+                const sound = ambient[Math.floor(Math.random() * ambient.length)];
+                const el = document.getElementById(`vol-${sound.id}`);
+                el.value = sound.defaultVolume;
+                el.dispatchEvent(new Event('input'));
+                logAudioDebug(`Auto-selected vol-${sound.id} at ${Math.round(sound.defaultVolume * 100)}%`);
             }
         }
 
@@ -541,16 +1825,121 @@ function setupControls() {
         updateMasterBtnUI();
     });
 
-    document.getElementById('spatial-btn').addEventListener('click', function () {
-        audio.spatialEnabled = !audio.spatialEnabled;
-        audio.toggleSpatial(audio.spatialEnabled);
-        this.innerText = `Spatial Audio: ${audio.spatialEnabled ? 'On' : 'Off'}`;
-        this.classList.toggle('border-red-900', audio.spatialEnabled);
-        this.classList.toggle('text-amber-100', audio.spatialEnabled);
-        this.classList.toggle('spatial-active', audio.spatialEnabled);
+    document.getElementById('spatial-btn').addEventListener('click', () => {
+        setSpatialEnabled(!audio.spatialEnabled);
+    });
+
+    document.getElementById('night-btn').addEventListener('click', () => {
+        setNightMode(!audio.nightMode);
+    });
+    setNightMode(state.nightMode);
+
+    // Loop settings take effect the next time each track starts
+    const crossfadeSelect = document.getElementById('loop-crossfade');
+    const randomStartBox = document.getElementById('loop-random-start');
+    const applyLoopSettings = () => {
+        state.loop = { crossfade: parseFloat(crossfadeSelect.value), randomStart: randomStartBox.checked };
+        localStorage.setItem('dragon_loop', JSON.stringify(state.loop));
+        audio.loopSettings = { ...state.loop };
+    };
+    crossfadeSelect.value = String(state.loop.crossfade);
+    if (crossfadeSelect.selectedIndex < 0) crossfadeSelect.value = '3';
+    randomStartBox.checked = !!state.loop.randomStart;
+    crossfadeSelect.addEventListener('change', applyLoopSettings);
+    randomStartBox.addEventListener('change', applyLoopSettings);
+    applyLoopSettings();
+}
+
+function setSpatialEnabled(enabled) {
+    const btn = document.getElementById('spatial-btn');
+    audio.spatialEnabled = enabled;
+    audio.toggleSpatial(enabled);
+    btn.innerText = `Spatial Audio: ${enabled ? 'On' : 'Off'}`;
+    btn.classList.toggle('border-red-900', enabled);
+    btn.classList.toggle('text-amber-100', enabled);
+    btn.classList.toggle('spatial-active', enabled);
+}
+
+function bindTrackSlider(sliderId, trackId) {
+    document.getElementById(sliderId).addEventListener('input', (e) => {
+        state.volumes[sliderId] = parseFloat(e.target.value);
+        audio.setTrackVolume(trackId, audibleVolume(sliderId));
+        updateSoundCardUI(e.target);
+    });
+}
+
+// --- Mute & Solo ---
+// Muting or soloing only changes what reaches the engine: the slider and
+// state.volumes keep each sound's level, so it comes back where it was.
+// Muted, or left out while another sound is soloed
+function isSilenced(sliderId) {
+    return state.muted.has(sliderId) || (!!state.solo && state.solo !== sliderId);
+}
+
+function audibleVolume(sliderId) {
+    return isSilenced(sliderId) ? 0 : state.volumes[sliderId] || 0;
+}
+
+// Re-sends every sound's level after mute or solo changed
+function refreshAudibleVolumes() {
+    const lanes = automationStart !== null ? automationLanes() : {};
+    getVolumeSliders().forEach(el => {
+        updateSoundCardUI(el);
+        // A running lane is rescheduled rather than overridden, so it comes back on unmute
+        const channel = CHANNEL_IDS[el.id];
+        if (lanes[el.id] && (audio.lanes[channel] || audio.pendingLanes[channel])) {
+            automateSound(el.id, lanes[el.id]);
+            return;
+        }
+        if (parseFloat(el.value) === 0) return;
+        const sound = SOUND_CATALOG.find(entry => `vol-${entry.id}` === el.id);
+        if (sound && sound.source === 'generator') sound.enable(audio, audibleVolume(el.id));
+        else audio.setTrackVolume(CHANNEL_IDS[el.id], audibleVolume(el.id));
+    });
+}
+
+function setSoundMuted(sliderId, muted) {
+    if (muted) state.muted.add(sliderId);
+    else state.muted.delete(sliderId);
+    refreshAudibleVolumes();
+    announce(`${getSoundLabel(sliderId)} ${muted ? 'muted' : 'unmuted'}`);
+}
+
+// Pass null to end the solo
+function setSoloSound(sliderId) {
+    state.solo = sliderId;
+    refreshAudibleVolumes();
+    announce(sliderId ? `Solo ${getSoundLabel(sliderId)}` : 'Solo off');
+}
+
+function setupMuteSolo() {
+    soundKeyActions.toggleMute = sliderId => setSoundMuted(sliderId, !state.muted.has(sliderId));
+    soundKeyActions.toggleSolo = sliderId => setSoloSound(state.solo === sliderId ? null : sliderId);
+    // Delegated, so custom sound cards added later work too
+    document.getElementById('sound-library').addEventListener('click', e => {
+        const btn = e.target.closest('.mute-btn, .solo-btn');
+        if (!btn) return;
+        const sliderId = btn.closest('.sound-card').querySelector('input[type=range]').id;
+        if (btn.classList.contains('mute-btn')) soundKeyActions.toggleMute(sliderId);
+        else soundKeyActions.toggleSolo(sliderId);
     });
 }
 
+function setNightMode(enabled) {
+    const btn = document.getElementById('night-btn');
+    state.nightMode = enabled;
+    localStorage.setItem('dragon_night', enabled ? '1' : '0');
+    audio.setNightMode(enabled);
+    btn.innerText = `Night Mode: ${enabled ? 'On' : 'Off'}`;
+    btn.classList.toggle('border-red-900', enabled);
+    btn.classList.toggle('text-amber-100', enabled);
+}
+
+// Volume sliders are the only range inputs whose id starts with 'vol-'
+function getVolumeSliders() {
+    return document.querySelectorAll('input[type=range][id^="vol-"]');
+}
+
 function updateMasterBtnUI() {
     const btn = document.getElementById('master-btn');
     const isPlaying = !audio.isMuted;
@@ -559,270 +1948,3231 @@ function updateMasterBtnUI() {
     btn.classList.toggle('bg-red-900/40', isPlaying);
     btn.classList.toggle('text-red-300', isPlaying);
     btn.classList.toggle('text-red-500', !isPlaying);
+    btn.setAttribute('aria-label', isPlaying ? 'Pause all sounds' : 'Play all sounds');
+    btn.setAttribute('aria-pressed', String(isPlaying));
+}
+
+// --- Keyboard & Announcements ---
+const TIMER_PRESETS = [15, 30, 45, 60]; // Minutes, cycled by T
+
+// Mute and solo behind M and Shift+number, each taking a slider id; filled
+// in by setupMuteSolo() so the keys and the card buttons share one path
+const soundKeyActions = { toggleMute: null, toggleSolo: null };
+
+let announceTimeout = null;
+
+// Read out by screen readers through the polite live region. Only the latest
+// of several messages in a row is spoken.
+function announce(msg) {
+    const region = document.getElementById('sr-announcer');
+    if (!region) return;
+    // Cleared first so the same message twice is still announced
+    region.textContent = '';
+    clearTimeout(announceTimeout);
+    announceTimeout = setTimeout(() => region.textContent = msg, 50);
+}
+
+// Sound cards that can be seen, in page order, for the number keys
+function getVisibleSliders() {
+    return [...getVolumeSliders()].filter(el => el.checkVisibility
+        ? el.checkVisibility({ visibilityProperty: true })
+        : el.offsetParent !== null);
 }
 
 function setupKeyboard() {
+    const overlay = document.getElementById('shortcuts-modal');
+    // The sound M acts on: the last volume slider focused
+    let currentSound = null;
+    document.addEventListener('focusin', e => {
+        if (e.target.matches('input[type=range][id^="vol-"]')) currentSound = e.target.id;
+    });
+
+    const nudge = (sliderId, direction) => {
+        const el = document.getElementById(sliderId);
+        const max = parseFloat(el.max);
+        el.value = Math.min(max, Math.max(0, parseFloat(el.value) + direction * max * 0.05));
+        el.dispatchEvent(new Event('input'));
+    };
+
+    // The overlay is a modal dialog: focus moves into it and comes back to
+    // wherever it was when the overlay closes
+    const closeBtn = document.getElementById('shortcuts-close-btn');
+    let returnFocus = null;
+    const isOverlayOpen = () => !overlay.classList.contains('hidden');
+    const showOverlay = (show) => {
+        if (show === isOverlayOpen()) return;
+        overlay.classList.toggle('hidden', !show);
+        if (show) {
+            returnFocus = document.activeElement;
+            closeBtn.focus();
+        } else if (returnFocus) {
+            returnFocus.focus();
+            returnFocus = null;
+        }
+    };
+    closeBtn.addEventListener('click', () => showOverlay(false));
+
     document.addEventListener('keydown', (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.key === 'Escape') {
+            showOverlay(false);
+            return;
+        }
+        if (isOverlayOpen()) {
+            // The close button is all there is to reach; other shortcuts wait
+            if (e.key === 'Tab') {
+                e.preventDefault();
+                closeBtn.focus();
+            } else if (e.key === '?') {
+                showOverlay(false);
+            }
+            return;
+        }
+        // Typing, picking from a list or using another control's own keys
+        if (e.target.matches('input:not([type=range]):not([type=checkbox]), textarea, select, [contenteditable]')) return;
+        const onSlider = e.target.matches('input[type=range]');
+
         if (e.code === 'Space' && e.target.tagName !== 'INPUT') {
             e.preventDefault();
             audio.toggleMasterMute();
             updateMasterBtnUI();
+            announce(audio.isMuted ? 'Paused' : 'Playing');
+        } else if (/^Digit[0-9]$/.test(e.code)) {
+            // 1-9 and 0 (tenth); with Shift, solo instead of focus
+            const n = parseInt(e.code.slice(5));
+            const el = getVisibleSliders()[n === 0 ? 9 : n - 1];
+            if (!el) return;
+            e.preventDefault();
+            currentSound = el.id;
+            if (!e.shiftKey) el.focus();
+            else if (soundKeyActions.toggleSolo) soundKeyActions.toggleSolo(el.id);
+        } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && e.target.matches('input[type=range][id^="vol-"]')) {
+            // Only on the focused volume slider, so the page still scrolls
+            // elsewhere. Left/Right keep the slider's own fine steps.
+            e.preventDefault();
+            nudge(e.target.id, e.key === 'ArrowUp' ? 1 : -1);
+        } else if (onSlider) {
+            return;
+        } else if (e.key === 'm' || e.key === 'M') {
+            if (!currentSound || !document.getElementById(currentSound) || !soundKeyActions.toggleMute) return;
+            soundKeyActions.toggleMute(currentSound);
+        } else if (e.key === 't' || e.key === 'T') {
+            const next = TIMER_PRESETS.find(m => m > state.timer);
+            if (next) window.addTime(next);
+            else window.clearTime();
+        } else if (e.key === 'p' || e.key === 'P') {
+            document.getElementById('pomo-start-btn').click();
+        } else if (e.key === '?') {
+            showOverlay(true);
         }
     });
 }
 
 function setupProductivity() {
     // --- Sleep Timer ---
+    // Counts down to an absolute end time, kept in dragon_sleep so it
+    // survives a reload. The closing fade is queued on the audio clock, so the
+    // ticks only update the display and can be throttled without harm.
     const display = document.getElementById('timer-display');
     const input = document.getElementById('timer-input');
-    let timerInt;
+    let timerInt, fadeQueued = false;
+    let sleepSession = null; // { start, planned } for the history
 
     window.setCustomTimer = () => startTimer(parseInt(input.value) * 60);
     window.addTime = (m) => startTimer(m * 60);
     window.clearTime = () => {
         clearInterval(timerInt);
+        if (sleepSession) endSleepSession(true);
+        localStorage.removeItem('dragon_sleep');
+        if (state.timer) announce('Sleep timer off');
+        state.timer = 0;
         display.innerText = "Off";
         audio.resetMasterVolume();
     };
 
-    function startTimer(secs) {
+    function endSleepSession(interrupted, end = Date.now()) {
+        recordSession({ type: 'sleep', ...sleepSession, end, interrupted });
+        sleepSession = null;
+    }
+
+    function startTimer(secs, endAt = Date.now() + secs * 1000, session = null) {
         clearInterval(timerInt);
-        let left = secs;
+        // Changing a running timer carries on the same session
+        sleepSession = session || sleepSession || { start: Date.now() };
+        sleepSession.planned = Math.round((endAt - sleepSession.start) / 60000);
+        state.timer = Math.round((endAt - Date.now()) / 60000);
+        localStorage.setItem('dragon_sleep', JSON.stringify({ endAt, session: sleepSession }));
+        announce(`Sleep timer set for ${formatMinutes(state.timer)}`);
         audio.resetMasterVolume();
+        fadeQueued = false;
         const tick = () => {
+            const left = Math.max(0, Math.ceil((endAt - Date.now()) / 1000));
             const h = Math.floor(left / 3600);
             const m = Math.floor((left % 3600) / 60);
             display.innerText = h > 0 ? `${h}h ${m}m` : `${m}m`;
-            if (left === 60) audio.fadeMasterOut(60);
+            // The audio clock only runs once playback has started
+            if (!fadeQueued && audio.ctx.state === 'running') {
+                audio.fadeMasterOut(audio.ctx.currentTime + (endAt - Date.now()) / 1000, 60);
+                fadeQueued = true;
+            }
             if (left <= 0) {
+                endSleepSession(false, endAt);
                 window.clearTime();
-                document.querySelectorAll('input[type=range]').forEach(el => {
+                announce('Sleep timer finished');
+                getVolumeSliders().forEach(el => {
                     el.value = 0; el.dispatchEvent(new Event('input'));
                 });
                 audio.resetMasterVolume();
             }
-            left--;
         };
         tick();
         timerInt = setInterval(tick, 1000);
     }
 
-    // --- Pomodoro ---
-    const pDisplay = document.getElementById('pomo-display');
-    const pStatus = document.getElementById('pomo-status');
-    const pStart = document.getElementById('pomo-start-btn');
-    const pReset = document.getElementById('pomo-reset-btn');
-
-    let pomoInt, pomoTime = 25 * 60, isBreak = false, isRunning = false;
-    function updatePomoDisplay() {
-        const m = Math.floor(pomoTime / 60).toString().padStart(2, '0');
-        const s = (pomoTime % 60).toString().padStart(2, '0');
-        pDisplay.innerText = `${m}:${s}`;
-    }
-    pStart.addEventListener('click', () => {
-        if (isRunning) {
-            clearInterval(pomoInt);
-            isRunning = false;
-            pStart.innerText = "Start";
-        } else {
-            isRunning = true;
-            pStart.innerText = "Pause";
-            pomoInt = setInterval(() => {
-                pomoTime--;
-                updatePomoDisplay();
-                if (pomoTime <= 0) {
-                    audio.playChime();
-                    switchMode(!isBreak);
-                }
-            }, 1000);
+    // Times are epoch ms; anything else means the saved timer can't be trusted
+    const isTime = v => typeof v === 'number' && isFinite(v) && v > 0;
+    const savedSleep = readJSON('dragon_sleep', null);
+    const sleepEnd = savedSleep && isTime(savedSleep.endAt) ? savedSleep.endAt : null;
+    const savedSession = sleepEnd && savedSleep.session && isTime(savedSleep.session.start)
+        ? { start: savedSleep.session.start, planned: Math.round((sleepEnd - savedSleep.session.start) / 60000) }
+        : null;
+    if (sleepEnd > Date.now()) {
+        startTimer(0, sleepEnd, savedSession);
+    } else {
+        // Ran out while the page was closed, so there is no telling if it played to the end
+        if (savedSession) {
+            recordSession({ type: 'sleep', ...savedSession, end: sleepEnd, interrupted: true });
         }
-    });
-    pReset.addEventListener('click', () => {
-        clearInterval(pomoInt);
-        isRunning = false;
-        pStart.innerText = "Start";
-        switchMode(false, true);
-    });
-    function switchMode(toBreak, reset = false) {
-        isBreak = toBreak;
-        pomoTime = (isBreak ? 5 : 25) * 60;
-        updatePomoDisplay();
-        document.getElementById('pomo-mode-focus').classList.toggle('text-red-700', !isBreak);
-        document.getElementById('pomo-mode-break').classList.toggle('text-green-500', isBreak);
-        pStatus.innerText = isBreak ? "Rest" : "Focus";
-        if (!reset && !isRunning) { } // Pause on auto switch? Or auto? Manual is simpler.
+        localStorage.removeItem('dragon_sleep');
     }
 
+    setupPomodoro();
+
     // --- Presets ---
     const presetList = document.getElementById('preset-list');
     const presetName = document.getElementById('preset-name');
     const saveBtn = document.getElementById('save-preset-btn');
 
     function loadPresets() {
-        const saved = JSON.parse(localStorage.getItem('dragon_presets') || '{}');
+        const saved = readPresets();
+        renderPomodoroPresets();
         presetList.innerHTML = '';
         if (Object.keys(saved).length === 0) {
             presetList.innerHTML = '<div class="text-stone-600 text-sm italic text-center py-2">No saved presets</div>';
             return;
         }
-        Object.entries(saved).forEach(([name, vols]) => {
+        Object.entries(saved).forEach(([name, preset]) => {
             const div = document.createElement('div');
             div.className = 'flex justify-between items-center bg-stone-950 p-2 rounded border border-stone-800 hover:border-amber-900 group';
             div.innerHTML = `
-                <span class="text-stone-300 text-sm font-bold truncate cursor-pointer flex-1">${name}</span>
+                <span class="text-stone-300 text-sm font-bold truncate cursor-pointer flex-1"></span>
                 <button class="delete-preset text-stone-600 hover:text-red-500 p-1 opacity-0 group-hover:opacity-100 transition-opacity">
                     <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
                 </button>
             `;
-            div.querySelector('span').addEventListener('click', () => applyPreset(vols));
+            // Names can come from imported files, so never render them as HTML
+            const label = div.querySelector('span');
+            label.textContent = name;
+            if (preset.updated) label.title = `Updated ${new Date(preset.updated).toLocaleString()}`;
+            if (preset.theme && Object.hasOwn(THEMES, preset.theme)) label.title += `${label.title ? '\n' : ''}Theme: ${THEMES[preset.theme].name}`;
+            label.addEventListener('click', () => {
+                const missing = applyPreset(preset);
+                if (missing.length) showPresetStatus(`Missing sounds skipped: ${missing.join(', ')}`, true);
+            });
             div.querySelector('.delete-preset').addEventListener('click', () => {
                 delete saved[name];
-                localStorage.setItem('dragon_presets', JSON.stringify(saved));
+                writePresets(saved);
                 loadPresets();
             });
             presetList.appendChild(div);
         });
     }
-    function applyPreset(vols) {
-        Object.keys(vols).forEach(id => {
-            const el = document.getElementById(id);
-            if (el) { el.value = vols[id]; el.dispatchEvent(new Event('input')); }
-        });
-    }
     saveBtn.addEventListener('click', () => {
         const name = presetName.value.trim();
         if (!name) return;
-        const currentVols = {};
-        document.querySelectorAll('input[type=range]').forEach(el => currentVols[el.id] = parseFloat(el.value));
-        const saved = JSON.parse(localStorage.getItem('dragon_presets') || '{}');
-        saved[name] = currentVols;
-        localStorage.setItem('dragon_presets', JSON.stringify(saved));
+        const saved = readPresets();
+        const now = new Date().toISOString();
+        saved[name] = {
+            ...capturePreset(),
+            created: saved[name] ? saved[name].created : now,
+            updated: now,
+        };
+        if (document.getElementById('preset-theme').checked) saved[name].theme = state.background;
+        writePresets(saved);
         presetName.value = '';
         loadPresets();
     });
     loadPresets();
+    setupPresetTransfer(loadPresets);
 }
 
-function initVisuals() {
-    const canvas = document.getElementById('embers-canvas');
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    let embers = [];
-    function resize() { canvas.width = window.innerWidth; canvas.height = window.innerHeight; }
-    window.addEventListener('resize', resize);
-    resize();
-    class Ember {
-        constructor() { this.reset(); this.y = Math.random() * canvas.height; }
-        reset() {
-            this.x = Math.random() * canvas.width;
-            this.y = canvas.height + 50;
-            this.size = Math.random() * 3 + 1;
-            this.speed = Math.random() * 1 + 0.5;
-            this.opacity = Math.random();
-        }
-        update(intensity) {
-            // Reactive speed
-            const speedMod = 1 + (intensity / 50); // 1.0 to 6.0 roughly
-            this.y -= this.speed * speedMod;
-            if (this.y < -10) this.reset();
-        }
-        draw(intensity) {
-            // Reactive size/glow
-            const sizeMod = 1 + (intensity / 200);
-            ctx.shadowBlur = this.size * 5 * sizeMod;
-            ctx.shadowColor = `rgba(255, ${100 + intensity}, 0, ${this.opacity})`;
-            ctx.fillStyle = `rgba(255, ${100 + intensity / 2}, 0, ${this.opacity})`;
-            ctx.beginPath();
-            ctx.arc(this.x, this.y, this.size * sizeMod, 0, Math.PI * 2);
-            ctx.fill();
-        }
-    }
-    for (let i = 0; i < 100; i++) embers.push(new Ember());
-
-    // Track eye state for smooth lerping
-    let eyeScale = 0.1;
-
-    function animate() {
-        if (document.hidden) { requestAnimationFrame(animate); return; }
+// --- Pomodoro ---
+// Focus sessions alternate with short breaks, with a long break after every
+// `longEvery` focus sessions. Each phase can switch the soundscape to a saved
+// preset (see DEFAULT_POMODORO).
+const POMODORO_PHASES = {
+    focus: { label: 'Focus', length: 'focus', preset: 'focusPreset' },
+    short: { label: 'Rest', length: 'shortBreak', preset: 'breakPreset' },
+    long: { label: 'Long Rest', length: 'longBreak', preset: 'breakPreset' },
+};
 
-        // Get audio data
-        const intensity = audio.getAnalysis(); // 0-255
+// Preset choices follow the saved presets; called whenever they change
+function renderPomodoroPresets() {
+    const names = Object.keys(readPresets());
+    ['focusPreset', 'breakPreset'].forEach(key => {
+        const select = document.getElementById(`pomo-${key === 'focusPreset' ? 'focus' : 'break'}-preset`);
+        if (!select) return;
+        select.innerHTML = '<option value="">Keep current mix</option>';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = names.includes(state.pomodoro[key]) ? state.pomodoro[key] : '';
+    });
+}
 
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        embers.forEach(e => { e.update(intensity); e.draw(intensity); });
+// A saved run, or null when any part of it is unusable
+function sanitizePomodoroRun(run) {
+    if (!run || typeof run !== 'object' || !Object.hasOwn(POMODORO_PHASES, run.phase)) return null;
+    const isCount = v => typeof v === 'number' && isFinite(v) && v >= 0;
+    const isTimeOrNull = v => v === null || v === undefined || (isCount(v) && v > 0);
+    if (!Number.isInteger(run.sessions) || run.sessions < 0 || typeof run.phaseStarted !== 'boolean') return null;
+    if (!isTimeOrNull(run.startedAt) || !isTimeOrNull(run.endAt) || !isCount(run.left)) return null;
+    return {
+        phase: run.phase, sessions: run.sessions, phaseStarted: run.phaseStarted,
+        startedAt: run.startedAt || null, endAt: run.endAt || null, left: run.left,
+    };
+}
 
-        // Update eye glow and container scale
-        const container = document.getElementById('visualizer-container');
-        const glow = document.getElementById('visualizer-glow');
-        const eyeGroup = document.getElementById('dragon-eye-group');
+function setupPomodoro() {
+    const pDisplay = document.getElementById('pomo-display');
+    const pStatus = document.getElementById('pomo-status');
+    const pStart = document.getElementById('pomo-start-btn');
+    const pReset = document.getElementById('pomo-reset-btn');
+    const pCount = document.getElementById('pomo-count');
+    const settings = state.pomodoro;
 
-        if (intensity > 5) {
-            const scale = 1 + (intensity / 1000); // 1.0 to 1.25
-            container.style.transform = `scale(${scale})`;
-            glow.style.opacity = intensity / 300; // 0 to 0.8
-        } else {
-            container.style.transform = 'scale(1)';
-            glow.style.opacity = 0;
-        }
+    // `sessions` counts finished focus sessions since the last reset. A
+    // running phase ends at an absolute `endAt`, a paused one keeps `left`
+    // seconds; both are saved in dragon_pomodoro_run and resume after a reload.
+    // `startedAt` is when the current phase first started, for the history.
+    let phase = 'focus', sessions = 0, phaseStarted = false, startedAt = null;
+    let endAt = null, left = settings.focus * 60;
+    let pomoInt, chime = null;
+    const pageOpenedAt = Date.now();
+    const saved = sanitizePomodoroRun(readJSON('dragon_pomodoro_run', null));
+    if (saved) ({ phase, sessions, phaseStarted, startedAt, endAt, left } = saved);
 
-        if (eyeGroup) {
-            // Dynamic Eye Opening Logic
-            // Map intensity (0-200) to scale (0.1 - 1.0)
-            let targetScale = 0.1 + (intensity / 200) * 0.9;
-            if (targetScale > 1.0) targetScale = 1.0;
-            if (targetScale < 0.1) targetScale = 0.1;
+    const phaseLength = p => settings[POMODORO_PHASES[p].length] * 60;
+    const remaining = () => endAt ? Math.max(0, Math.ceil((endAt - Date.now()) / 1000)) : left;
 
-            // Smoothly interpolate current scale to target (Lerp)
-            eyeScale += (targetScale - eyeScale) * 0.1; // 0.1 easing factor
+    function saveRun() {
+        localStorage.setItem('dragon_pomodoro_run', JSON.stringify({ phase, sessions, phaseStarted, startedAt, endAt, left }));
+    }
 
-            eyeGroup.style.transform = `scaleY(${eyeScale})`;
-            eyeGroup.style.opacity = 0.5 + (eyeScale * 0.5); // Dimmer when closed
+    function updatePomoDisplay() {
+        const secs = remaining();
+        const m = Math.floor(secs / 60).toString().padStart(2, '0');
+        const s = (secs % 60).toString().padStart(2, '0');
+        pDisplay.innerText = `${m}:${s}`;
+        // During a break, the session that just finished
+        const current = phase === 'focus' ? sessions : Math.max(0, sessions - 1);
+        pCount.innerText = `Session ${current % settings.longEvery + 1} of ${settings.longEvery} · ${sessions} done`;
+        const isBreak = phase !== 'focus';
+        document.getElementById('pomo-mode-focus').classList.toggle('text-red-700', !isBreak);
+        document.getElementById('pomo-mode-break').classList.toggle('text-green-500', isBreak);
+        pStatus.innerText = phaseStarted || sessions ? POMODORO_PHASES[phase].label : "Ready";
+        pStart.innerText = endAt ? "Pause" : "Start";
+    }
 
-            // Clear class-based animations if they conflict
-            eyeGroup.classList.remove('eye-closed', 'eye-open');
+    function applyPhasePreset() {
+        const name = settings[POMODORO_PHASES[phase].preset];
+        if (!name) return;
+        const preset = readPresets()[name];
+        if (!preset) {
+            logAudioDebug(`Pomodoro preset "${name}" no longer exists`, 'warn');
+            return;
         }
+        applyPreset(preset);
+    }
 
-        requestAnimationFrame(animate);
+    // The end chime waits on the audio clock, so it rings on time in a
+    // throttled background tab. The context only runs once playback started.
+    function queueChime() {
+        if (chime || audio.ctx.state !== 'running') return;
+        chime = audio.playChime(audio.ctx.currentTime + Math.max(0, (endAt - Date.now()) / 1000));
     }
-    animate();
-}
 
-function initBackgrounds() {
-    const bgSettingsBtn = document.getElementById('bg-settings-btn');
-    const bgModal = document.getElementById('bg-modal');
-    if (!bgSettingsBtn || !bgModal) return;
-    bgSettingsBtn.addEventListener('click', () => {
-        bgModal.classList.remove('hidden');
-        setTimeout(() => bgModal.classList.remove('opacity-0'), 10);
-    });
-    const close = () => {
-        bgModal.classList.add('opacity-0');
-        setTimeout(() => bgModal.classList.add('hidden'), 300);
-    };
-    document.getElementById('bg-modal-close').addEventListener('click', close);
-    window.selectBackground = (type) => {
-        const bgLayer = document.getElementById('bg-layer');
-        const bgVideo = document.getElementById('bg-video');
-        let bgUrl = '';
-        let videoUrl = '';
+    function cancelChime() {
+        if (chime) try { chime.stop(); } catch (e) { /* already ended */ }
+        chime = null;
+    }
 
-        // Hide video by default, show if needed
-        bgVideo.classList.add('hidden', 'opacity-0');
-        bgLayer.classList.remove('opacity-0');
+    function tick() {
+        // Step through every phase that ended while the page was throttled
+        // or closed; with auto-start each one follows straight on from the last.
+        // As with the sleep timer, a focus session that ran out while the page
+        // was closed is logged as interrupted, and the ones auto-started after
+        // it, which nobody saw, are not logged at all.
+        let endedAt = null;
+        while (endAt && Date.now() >= endAt) {
+            endedAt = endAt;
+            const closed = endedAt < pageOpenedAt;
+            if (phase === 'focus') {
+                sessions++;
+                if (!closed || phaseStarted) {
+                    recordSession({
+                        type: 'focus', start: startedAt || endedAt - phaseLength(phase) * 1000, end: endedAt,
+                        planned: settings.focus, interrupted: closed,
+                    });
+                }
+            }
+            phase = phase !== 'focus' ? 'focus'
+                : sessions % settings.longEvery === 0 ? 'long' : 'short';
+            phaseStarted = false;
+            startedAt = endedAt;
+            left = phaseLength(phase);
+            endAt = settings.autoStart ? endedAt + left * 1000 : null;
+        }
+        if (endedAt) {
+            announce(`${POMODORO_PHASES[phase].label} ${endAt ? 'started' : 'is next. Press Start when ready'}`);
+            // Ring now if the chime couldn't be queued, unless that was long ago
+            if (!chime && Date.now() - endedAt < 60000) audio.playChime();
+            chime = null;
+            if (endAt) {
+                phaseStarted = true;
+                applyPhasePreset();
+            } else {
+                clearInterval(pomoInt);
+            }
+            saveRun();
+        }
+        if (endAt) queueChime();
+        updatePomoDisplay();
+    }
 
-        switch (type) {
-            case 'obsidian': bgUrl = `url("data:image/svg+xml,%3Csvg width='60' height='60' viewBox='0 0 60 60' xmlns='http://www.w3.org/2000/svg'%3E%3Cg fill='none' fill-rule='evenodd'%3E%3Cg fill='%239C92AC' fill-opacity='1'%3E%3Cpath d='M36 34v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zm0-30V0h-2v4h-4v2h4v4h2V6h4V4h-4zM6 34v-4H4v4H0v2h4v4h2v-4h4v-2H6zM6 4V0H4v4H0v2h4v4h2V6h4V4H6z'/%3E%3C/g%3E%3C/g%3E%3C/svg%3E")`; break;
-            case 'Crimson': bgUrl = `linear-gradient(to bottom right, #450a0a, #000000)`; break;
-            case 'Misty': bgUrl = `linear-gradient(to top, #0f172a, #1e293b)`; break;
-            case 'Golden': bgUrl = `radial-gradient(circle at center, #78350f, #2a1b0e)`; break;
-            case 'Emerald': bgUrl = `linear-gradient(to top left, #064e3b, #022c22)`; break;
-            case 'Amethyst': bgUrl = `linear-gradient(to bottom, #581c87, #000000)`; break;
+    function start() {
+        if (!phaseStarted) {
+            phaseStarted = true;
+            startedAt = Date.now();
+            applyPhasePreset();
         }
+        endAt = Date.now() + left * 1000;
+        saveRun();
+        clearInterval(pomoInt);
+        pomoInt = setInterval(tick, 1000);
+        tick();
+    }
 
-        bgLayer.style.backgroundImage = bgUrl;
-        localStorage.setItem('dragon_keep_bg', type);
-        close();
-    };
-    const saved = localStorage.getItem('dragon_keep_bg');
-    if (saved) window.selectBackground(saved);
+    function pause() {
+        left = remaining();
+        endAt = null;
+        clearInterval(pomoInt);
+        cancelChime();
+        saveRun();
+        updatePomoDisplay();
+    }
+
+    pStart.addEventListener('click', () => {
+        if (endAt) pause();
+        else start();
+        announce(endAt ? `${POMODORO_PHASES[phase].label} started, ${formatMinutes(remaining() / 60)} left` : 'Pomodoro paused');
+    });
+    pReset.addEventListener('click', () => {
+        clearInterval(pomoInt);
+        cancelChime();
+        if (phase === 'focus' && phaseStarted) {
+            recordSession({ type: 'focus', start: startedAt, end: Date.now(), planned: settings.focus, interrupted: true });
+        }
+        phase = 'focus';
+        sessions = 0;
+        phaseStarted = false;
+        endAt = null;
+        left = phaseLength(phase);
+        saveRun();
+        updatePomoDisplay();
+        announce('Pomodoro reset');
+    });
+
+    // --- Settings ---
+    document.getElementById('pomo-settings-btn').addEventListener('click', e => {
+        const hidden = document.getElementById('pomo-settings').classList.toggle('hidden');
+        e.currentTarget.setAttribute('aria-expanded', String(!hidden));
+    });
+    const save = () => localStorage.setItem('dragon_pomodoro', JSON.stringify(settings));
+    ['focus', 'shortBreak', 'longBreak', 'longEvery'].forEach(key => {
+        const field = document.getElementById(`pomo-${key}`);
+        field.value = settings[key];
+        field.addEventListener('change', () => {
+            const value = parseInt(field.value);
+            if (value >= 1 && value <= parseInt(field.max)) settings[key] = value;
+            field.value = settings[key];
+            save();
+            // A phase that hasn't started yet picks up its new length
+            if (!phaseStarted && !endAt) {
+                left = phaseLength(phase);
+                saveRun();
+            }
+            updatePomoDisplay();
+        });
+    });
+    const autoBox = document.getElementById('pomo-autostart');
+    autoBox.checked = settings.autoStart;
+    autoBox.addEventListener('change', () => {
+        settings.autoStart = autoBox.checked;
+        save();
+    });
+    [['pomo-focus-preset', 'focusPreset'], ['pomo-break-preset', 'breakPreset']].forEach(([id, key]) => {
+        document.getElementById(id).addEventListener('change', e => {
+            settings[key] = e.target.value;
+            save();
+        });
+    });
+
+    renderPomodoroPresets();
+    if (endAt) pomoInt = setInterval(tick, 1000);
+    tick();
+}
+
+// --- Preset Storage ---
+// localStorage['dragon_presets'] holds { version, presets: { name: preset } }.
+// Version 1 (never labelled) was a bare map of preset name -> slider volumes.
+const APP_VERSION = '1.0.0';
+const PRESET_SCHEMA_VERSION = 2;
+
+function capturePreset() {
+    const volumes = {};
+    getVolumeSliders().forEach(el => volumes[el.id] = parseFloat(el.value));
+    const tone = {};
+    Object.entries(state.tone).forEach(([id, settings]) => tone[id] = { ...settings });
+    const layout = {};
+    Object.entries(state.layout).forEach(([id, pos]) => layout[id] = { ...pos });
+    // Custom sound names, so a preset can say which sound went missing
+    const names = {};
+    Object.keys(volumes).forEach(id => {
+        if (isCustomSound(id)) names[id] = getSoundLabel(id);
+    });
+    const preset = { volumes, beat: { ...state.beat }, tone, layout, names };
+    if (state.automation.length) preset.automation = state.automation.map(seg => ({ ...seg }));
+    return preset;
+}
+
+// A function declaration so the A/B slots can be sanitized while state loads
+function isVolume(v) {
+    return typeof v === 'number' && isFinite(v) && v >= 0;
+}
+
+function sanitizePreset(preset) {
+    const volumes = {};
+    // Volume slider ids only: any other id would get its value set
+    Object.entries(preset.volumes || {}).forEach(([id, vol]) => {
+        if (/^vol-/.test(id) && isVolume(vol)) volumes[id] = vol;
+    });
+    const clean = { ...preset, volumes };
+    if (Array.isArray(preset.automation)) {
+        clean.automation = preset.automation.filter(seg => seg && typeof seg.sound === 'string' && /^vol-/.test(seg.sound) &&
+            isVolume(seg.from) && isVolume(seg.to) && isVolume(seg.start) && isVolume(seg.duration));
+    } else {
+        delete clean.automation;
+    }
+    const beat = sanitizeBeat(preset.beat);
+    if (beat) clean.beat = beat;
+    else delete clean.beat;
+    if (preset.tone && typeof preset.tone === 'object') {
+        clean.tone = {};
+        Object.entries(preset.tone).forEach(([id, settings]) => {
+            const tone = sanitizeTone(settings);
+            if (tone) clean.tone[id] = tone;
+        });
+    } else {
+        delete clean.tone;
+    }
+    if (preset.names && typeof preset.names === 'object') {
+        clean.names = {};
+        Object.entries(preset.names).forEach(([id, name]) => {
+            if (typeof name === 'string') clean.names[id] = name.slice(0, 100);
+        });
+    } else {
+        delete clean.names;
+    }
+    if (preset.layout && typeof preset.layout === 'object') {
+        clean.layout = {};
+        Object.entries(preset.layout).forEach(([id, pos]) => {
+            const position = sanitizePosition(pos);
+            if (position) clean.layout[id] = position;
+        });
+    } else {
+        delete clean.layout;
+    }
+    if (typeof preset.theme !== 'string') delete clean.theme;
+    return clean;
+}
+
+// Schema 1 was a bare name -> volumes map, which can hold presets named
+// "version" or "presets"; every later schema has a numeric version
+function presetSchemaVersion(data) {
+    return typeof data.version === 'number' ? data.version : 1;
+}
+
+// Upgrades any stored or imported blob to the current schema. Throws for
+// data that cannot be understood so callers never save a half-read blob.
+function migratePresetData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Preset data is not an object');
+    }
+    const version = presetSchemaVersion(data);
+    if (version > PRESET_SCHEMA_VERSION) {
+        throw new Error(`Presets were saved by a newer version (schema ${version})`);
+    }
+
+    let presets = data.presets;
+    if (version === 1) {
+        const now = new Date().toISOString();
+        presets = {};
+        Object.entries(data).forEach(([name, volumes]) => {
+            presets[name] = { volumes, created: now, updated: now };
+        });
+    }
+    if (!presets || typeof presets !== 'object') throw new Error('Missing presets');
+
+    const migrated = {};
+    Object.entries(presets).forEach(([name, preset]) => {
+        if (preset && typeof preset === 'object') migrated[name] = sanitizePreset(preset);
+    });
+    return migrated;
+}
+
+function readPresets() {
+    const raw = localStorage.getItem('dragon_presets');
+    if (!raw) return {};
+    try {
+        const data = JSON.parse(raw);
+        const presets = migratePresetData(data);
+        if (presetSchemaVersion(data) !== PRESET_SCHEMA_VERSION) {
+            logAudioDebug(`Migrated presets from schema ${presetSchemaVersion(data)}`);
+            writePresets(presets);
+        }
+        return presets;
+    } catch (e) {
+        // Keep the unreadable blob around instead of overwriting it on the next save
+        logAudioDebug(`Could not read presets: ${e.message}`, 'error');
+        localStorage.setItem('dragon_presets_backup', raw);
+        localStorage.removeItem('dragon_presets');
+        return {};
+    }
+}
+
+function writePresets(presets) {
+    localStorage.setItem('dragon_presets', JSON.stringify({ version: PRESET_SCHEMA_VERSION, presets }));
+}
+
+// --- Preset Import / Export ---
+function showPresetStatus(msg, isError = false) {
+    const status = document.getElementById('preset-status');
+    status.textContent = msg;
+    status.classList.toggle('text-red-500', isError);
+    status.classList.toggle('text-stone-500', !isError);
+}
+
+function setupPresetTransfer(onChange) {
+    const panel = document.getElementById('presets-panel');
+    const fileInput = document.getElementById('preset-file-input');
+    const modal = document.getElementById('import-modal');
+    const showStatus = showPresetStatus;
+    let pending = null;
+
+    document.getElementById('export-presets-btn').addEventListener('click', () => {
+        const presets = readPresets();
+        const file = {
+            format: 'dragon-keep-presets',
+            version: PRESET_SCHEMA_VERSION,
+            appVersion: APP_VERSION,
+            exportedAt: new Date().toISOString(),
+            presets,
+        };
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `dragon-keep-presets-${file.exportedAt.slice(0, 10)}.json`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        showStatus(`Exported ${Object.keys(presets).length} presets`);
+    });
+
+    document.getElementById('import-presets-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) readFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    panel.addEventListener('dragover', e => {
+        e.preventDefault();
+        panel.classList.add('border-amber-700');
+    });
+    panel.addEventListener('dragleave', () => panel.classList.remove('border-amber-700'));
+    panel.addEventListener('drop', e => {
+        e.preventDefault();
+        panel.classList.remove('border-amber-700');
+        const file = e.dataTransfer.files[0];
+        if (file) readFile(file);
+    });
+
+    async function readFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            if (data.format !== undefined && data.format !== 'dragon-keep-presets') {
+                throw new Error('Not a Dragon\'s Keep preset file');
+            }
+            pending = migratePresetData(data);
+        } catch (e) {
+            showStatus(`Import failed: ${e.message}`, true);
+            return;
+        }
+        const names = Object.keys(pending);
+        if (names.length === 0) {
+            showStatus('Import failed: file contains no presets', true);
+            return;
+        }
+        const existing = readPresets();
+        const conflicts = names.filter(n => existing[n]);
+        document.getElementById('import-summary').textContent =
+            `${names.length} presets found in ${file.name}` +
+            (conflicts.length ? `, ${conflicts.length} with names you already use.` : '.');
+        document.getElementById('import-conflicts').classList.toggle('hidden', conflicts.length === 0);
+        modal.classList.remove('hidden');
+    }
+
+    const closeModal = () => {
+        modal.classList.add('hidden');
+        pending = null;
+    };
+    document.getElementById('import-cancel-btn').addEventListener('click', closeModal);
+
+    document.getElementById('import-confirm-btn').addEventListener('click', () => {
+        if (!pending) return;
+        const mode = modal.querySelector('input[name=import-mode]:checked').value;
+        const onConflict = document.getElementById('import-conflict-select').value;
+        const saved = mode === 'replace' ? {} : readPresets();
+        let added = 0, skipped = 0;
+
+        Object.entries(pending).forEach(([name, preset]) => {
+            let target = name;
+            if (saved[name]) {
+                if (onConflict === 'skip') { skipped++; return; }
+                if (onConflict === 'rename') {
+                    let n = 2;
+                    while (saved[`${name} (${n})`]) n++;
+                    target = `${name} (${n})`;
+                }
+            }
+            saved[target] = preset;
+            added++;
+        });
+
+        writePresets(saved);
+        closeModal();
+        onChange();
+        showStatus(`Imported ${added} presets` + (skipped ? `, skipped ${skipped}` : ''));
+    });
+}
+
+// Returns the names of sounds the preset uses that no longer exist (deleted
+// custom sounds); the rest of the preset is still applied. With `fade` the
+// volumes glide there over that many seconds instead of jumping.
+function applyPreset(preset, fade = 0) {
+    // Settings first, so sounds started by the volumes below already use them
+    if (preset.beat) setBeatConfig(preset.beat);
+    if (preset.tone) {
+        getVolumeSliders().forEach(el => setSoundTone(el.id, preset.tone[el.id] || DEFAULT_TONE));
+    }
+    if (preset.layout) applyLayout(preset.layout);
+    // Unknown (e.g. deleted custom) themes leave the current one alone
+    if (preset.theme && Object.hasOwn(THEMES, preset.theme)) selectTheme(preset.theme);
+    const vols = preset.volumes;
+    const missing = [];
+    const targets = {};
+    Object.keys(vols).forEach(id => {
+        const el = document.getElementById(id);
+        if (el && el.matches('input[type=range][id^="vol-"]')) targets[id] = vols[id];
+        else if (vols[id] > 0) missing.push((preset.names && preset.names[id]) || id.replace(/^vol-/, ''));
+    });
+    // Automation starts once the volumes arrive, as moving a slider ends it
+    fadeSliders(targets, fade, () => {
+        setAutomation((preset.automation || []).filter(seg => document.getElementById(seg.sound)));
+        if (state.automation.length) startAutomation();
+    });
+    return missing;
+}
+
+let sliderFade = null; // Interval of the running fadeSliders(), if any
+let finishFade = null; // Jumps that fade to its end
+
+// Moves volume sliders to `targets` ({ sliderId: volume }), straight away or
+// over `seconds`, sending each step through the sliders' own input handlers
+function fadeSliders(targets, seconds, onDone = () => { }) {
+    cancelSliderFade();
+    const set = (id, vol) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.value = vol;
+        el.dispatchEvent(new Event('input'));
+    };
+    if (!seconds) {
+        Object.entries(targets).forEach(([id, vol]) => set(id, vol));
+        onDone();
+        return;
+    }
+    const from = {};
+    Object.keys(targets).forEach(id => from[id] = parseFloat(document.getElementById(id).value));
+    const start = Date.now();
+    const moveTo = t => Object.keys(targets).forEach(id => {
+        if (from[id] !== targets[id]) set(id, from[id] + (targets[id] - from[id]) * t);
+    });
+    const finish = () => {
+        cancelSliderFade();
+        moveTo(1);
+        onDone();
+    };
+    const step = () => {
+        const t = Math.min(1, (Date.now() - start) / (seconds * 1000));
+        if (t === 1) finish();
+        else moveTo(t);
+    };
+    finishFade = finish;
+    sliderFade = setInterval(step, 50);
+    step();
+}
+
+// Dragging a slider mid-fade keeps the user's hand on it
+function cancelSliderFade() {
+    clearInterval(sliderFade);
+    sliderFade = null;
+    finishFade = null;
+}
+
+// --- A/B Compare ---
+// Two complete mixes (as presets) to flip between while tuning. Edits always
+// belong to the slot being listened to; switching stores them there and
+// crossfades to the other slot, which starts out as a copy of the first.
+const AB_CROSSFADE = 2; // Seconds
+
+// Stored slots go through sanitizePreset like any other preset
+function sanitizeAB(ab) {
+    const data = ab && typeof ab === 'object' ? ab : {};
+    const slot = preset => (preset && typeof preset === 'object' ? sanitizePreset(preset) : null);
+    return { a: slot(data.a), b: slot(data.b), active: data.active === 'b' ? 'b' : 'a' };
+}
+
+function saveAB() {
+    localStorage.setItem('dragon_ab', JSON.stringify(state.ab));
+}
+
+function renderAB() {
+    ['a', 'b'].forEach(slot => {
+        const btn = document.getElementById(`ab-${slot}-btn`);
+        const active = state.ab.active === slot;
+        btn.classList.toggle('border-amber-900', active);
+        btn.classList.toggle('text-amber-100', active);
+        btn.setAttribute('aria-pressed', String(active));
+    });
+}
+
+function switchAB(slot) {
+    if (slot === state.ab.active) return;
+    // Mid-crossfade the sliders are only part way: the slot being left keeps
+    // the whole mix it was fading to
+    if (finishFade) finishFade();
+    const current = capturePreset();
+    state.ab[state.ab.active] = current;
+    state.ab.active = slot;
+    if (!state.ab[slot]) state.ab[slot] = current;
+    saveAB();
+    renderAB();
+    stopEvolve();
+    const missing = applyPreset(state.ab[slot], AB_CROSSFADE);
+    announce(`Mix ${slot.toUpperCase()}`);
+    if (missing.length) showPresetStatus(`Missing sounds skipped: ${missing.join(', ')}`, true);
+}
+
+function setupABCompare() {
+    ['a', 'b'].forEach(slot => {
+        document.getElementById(`ab-${slot}-btn`).addEventListener('click', () => switchAB(slot));
+    });
+    // Start the other slot over from what is playing now
+    document.getElementById('ab-copy-btn').addEventListener('click', () => {
+        const other = state.ab.active === 'a' ? 'b' : 'a';
+        state.ab[other] = capturePreset();
+        saveAB();
+        showPresetStatus(`Copied to ${other.toUpperCase()}`);
+    });
+    document.addEventListener('pointerdown', e => {
+        if (sliderFade && e.target.matches('input[type=range][id^="vol-"]')) cancelSliderFade();
+    });
+    renderAB();
+}
+
+// --- Beat Generator Settings ---
+function setBeatConfig(config) {
+    state.beat = config;
+    localStorage.setItem('dragon_beat', JSON.stringify(config));
+    const band = Object.keys(BEAT_BANDS).find(b => BEAT_BANDS[b] === config.beat);
+    const summary = `${config.mode === 'isochronic' ? 'Iso' : 'Bin'} ${config.beat}Hz` +
+        (config.ramp ? ` → ${config.ramp.to}Hz` : '') + (band ? ` · ${band}` : '');
+    document.getElementById('beat-summary').textContent = summary;
+    // Rebuild the generator if it is playing
+    const slider = document.getElementById('vol-beat');
+    if (parseFloat(slider.value) > 0) slider.dispatchEvent(new Event('input'));
+}
+
+function setupBeatGenerator() {
+    const modal = document.getElementById('beat-modal');
+    const field = id => document.getElementById(id);
+    const bandSelect = field('beat-band');
+    const beatInput = field('beat-freq');
+    const rampToggle = field('beat-ramp');
+
+    const syncRampFields = () => {
+        field('beat-ramp-to').disabled = !rampToggle.checked;
+        field('beat-ramp-minutes').disabled = !rampToggle.checked;
+    };
+
+    function open() {
+        const cfg = state.beat;
+        field('beat-carrier').value = cfg.carrier;
+        beatInput.value = cfg.beat;
+        bandSelect.value = Object.keys(BEAT_BANDS).find(b => BEAT_BANDS[b] === cfg.beat) || 'custom';
+        field('beat-waveform').value = cfg.waveform;
+        modal.querySelector(`input[name=beat-mode][value=${cfg.mode}]`).checked = true;
+        rampToggle.checked = !!cfg.ramp;
+        field('beat-ramp-to').value = cfg.ramp ? cfg.ramp.to : 3;
+        field('beat-ramp-minutes').value = cfg.ramp ? cfg.ramp.minutes : 20;
+        syncRampFields();
+        field('beat-error').textContent = '';
+        modal.classList.remove('hidden');
+    }
+
+    bandSelect.addEventListener('change', () => {
+        if (BEAT_BANDS[bandSelect.value]) beatInput.value = BEAT_BANDS[bandSelect.value];
+    });
+    beatInput.addEventListener('input', () => {
+        bandSelect.value = Object.keys(BEAT_BANDS).find(b => BEAT_BANDS[b] === parseFloat(beatInput.value)) || 'custom';
+    });
+    rampToggle.addEventListener('change', syncRampFields);
+
+    // The catalog card gets the settings button and a summary of the config
+    const card = document.getElementById('vol-beat').closest('.sound-card');
+    const settingsBtn = document.createElement('button');
+    settingsBtn.id = 'beat-settings-btn';
+    settingsBtn.className = 'absolute top-2 right-2 text-stone-600 hover:text-amber-100 p-1';
+    settingsBtn.title = 'Beat Settings';
+    settingsBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="4" y1="21" x2="4" y2="14" /><line x1="4" y1="10" x2="4" y2="3" /><line x1="12" y1="21" x2="12" y2="12" /><line x1="12" y1="8" x2="12" y2="3" /><line x1="20" y1="21" x2="20" y2="16" /><line x1="20" y1="12" x2="20" y2="3" /><line x1="1" y1="14" x2="7" y2="14" /><line x1="9" y1="8" x2="15" y2="8" /><line x1="17" y1="16" x2="23" y2="16" /></svg>';
+    const summary = document.createElement('span');
+    summary.id = 'beat-summary';
+    summary.className = 'text-[10px] text-stone-600 font-mono -mt-2';
+    card.appendChild(settingsBtn);
+    card.insertBefore(summary, card.querySelector('input[type=range]'));
+
+    settingsBtn.addEventListener('click', open);
+    field('beat-cancel-btn').addEventListener('click', () => modal.classList.add('hidden'));
+    field('beat-apply-btn').addEventListener('click', () => {
+        const config = sanitizeBeat({
+            carrier: parseFloat(field('beat-carrier').value),
+            beat: parseFloat(beatInput.value),
+            waveform: field('beat-waveform').value,
+            mode: modal.querySelector('input[name=beat-mode]:checked').value,
+            ramp: rampToggle.checked
+                ? { to: parseFloat(field('beat-ramp-to').value), minutes: parseFloat(field('beat-ramp-minutes').value) }
+                : null,
+        });
+        if (!config) {
+            field('beat-error').textContent = 'Carrier 20–1500Hz, beats 0.5–100Hz, ramp 1–600 min.';
+            return;
+        }
+        setBeatConfig(config);
+        modal.classList.add('hidden');
+    });
+
+    setBeatConfig(state.beat);
+}
+
+// --- Tone Controls ---
+// Each sound card gets a collapsible tone section. The cutoff slider is
+// logarithmic: 0..1 maps to 200Hz..20kHz.
+const cutoffToSlider = hz => Math.log(hz / 200) / Math.log(100);
+const sliderToCutoff = v => Math.round(200 * Math.pow(100, v));
+
+function setSoundTone(sliderId, settings) {
+    const isDefault = settings.low === 0 && settings.high === 0 && settings.cutoff >= 20000;
+    if (isDefault) delete state.tone[sliderId];
+    else state.tone[sliderId] = { ...settings };
+    localStorage.setItem('dragon_tone', JSON.stringify(state.tone));
+    audio.setTone(CHANNEL_IDS[sliderId], settings);
+
+    const card = document.getElementById(sliderId).closest('.sound-card');
+    const section = card.querySelector('.tone-section');
+    if (!section) return;
+    section.querySelector('[data-tone=low]').value = settings.low;
+    section.querySelector('[data-tone=high]').value = settings.high;
+    section.querySelector('[data-tone=cutoff]').value = cutoffToSlider(settings.cutoff);
+    card.querySelector('.tone-btn').classList.toggle('text-amber-500', !isDefault);
+}
+
+function setupToneControls() {
+    getVolumeSliders().forEach(addToneControls);
+}
+
+function addToneControls(slider) {
+    const card = slider.closest('.sound-card');
+    if (!card) return;
+
+    const btn = document.createElement('button');
+    btn.className = 'tone-btn text-stone-600 hover:text-amber-100 p-1';
+    btn.title = 'Tone';
+    btn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 10v3"/><path d="M6 6v11"/><path d="M10 3v18"/><path d="M14 8v7"/><path d="M18 5v13"/><path d="M22 10v3"/></svg>';
+
+    const section = document.createElement('div');
+    section.className = 'tone-section hidden w-full flex flex-col gap-1 text-[10px] text-stone-500 uppercase tracking-wider';
+    section.innerHTML = `
+        <label class="flex items-center gap-2">Low<input type="range" data-tone="low" min="-12" max="12" step="1" class="tone-slider flex-1"></label>
+        <label class="flex items-center gap-2">High<input type="range" data-tone="high" min="-12" max="12" step="1" class="tone-slider flex-1"></label>
+        <label class="flex items-center gap-2">Cut<input type="range" data-tone="cutoff" min="0" max="1" step="0.01" class="tone-slider flex-1"></label>
+        <button class="tone-reset self-end text-stone-600 hover:text-amber-100">Reset</button>`;
+    card.insertBefore(section, card.querySelector('.volume-indicator'));
+
+    btn.addEventListener('click', () => section.classList.toggle('hidden'));
+    section.querySelectorAll('input').forEach(input => input.addEventListener('input', () => {
+        setSoundTone(slider.id, {
+            low: parseFloat(section.querySelector('[data-tone=low]').value),
+            high: parseFloat(section.querySelector('[data-tone=high]').value),
+            cutoff: sliderToCutoff(parseFloat(section.querySelector('[data-tone=cutoff]').value)),
+        });
+    }));
+    section.querySelector('.tone-reset').addEventListener('click', () => setSoundTone(slider.id, DEFAULT_TONE));
+    card.querySelector('.card-tools').prepend(btn); // Beside mute and solo
+
+    setSoundTone(slider.id, sanitizeTone(state.tone[slider.id]) || DEFAULT_TONE);
+}
+
+// --- Keep Map ---
+// Sounds are placed on a unit circle around the listener, seen from above:
+// -z is in front, +x to the right. Catalog sounds marked `spatial: false`
+// (the beat generators) are left out.
+const NON_SPATIAL_SOUNDS = SOUND_CATALOG.filter(sound => sound.spatial === false).map(sound => `vol-${sound.id}`);
+
+function sanitizePosition(pos) {
+    if (!pos || typeof pos !== 'object') return null;
+    if (![pos.x, pos.z].every(v => typeof v === 'number' && isFinite(v))) return null;
+    const scale = Math.min(1, 1 / Math.hypot(pos.x, pos.z));
+    return { x: pos.x * scale, z: pos.z * scale, orbit: ORBIT_SPEEDS.includes(pos.orbit) ? pos.orbit : 0 };
+}
+
+function getSpatialSliders() {
+    return Array.from(getVolumeSliders()).filter(el => !NON_SPATIAL_SOUNDS.includes(el.id));
+}
+
+// Sounds spread evenly around a ring, starting straight ahead
+function defaultLayout() {
+    const sliders = getSpatialSliders();
+    const layout = {};
+    sliders.forEach((el, i) => {
+        const angle = -Math.PI / 2 + 2 * Math.PI * i / sliders.length;
+        layout[el.id] = { x: Math.round(60 * Math.cos(angle)) / 100, z: Math.round(60 * Math.sin(angle)) / 100, orbit: 0 };
+    });
+    return layout;
+}
+
+function setSoundPosition(sliderId, position) {
+    state.layout[sliderId] = { ...position };
+    localStorage.setItem('dragon_layout', JSON.stringify(state.layout));
+    audio.setPosition(CHANNEL_IDS[sliderId], position);
+}
+
+// Sounds missing from `layout` go back to their default spot
+function applyLayout(layout) {
+    const defaults = defaultLayout();
+    getSpatialSliders().forEach(el => {
+        setSoundPosition(el.id, sanitizePosition(layout[el.id]) || defaults[el.id]);
+    });
+}
+
+function setupKeepMap() {
+    const modal = document.getElementById('keep-modal');
+    const map = document.getElementById('keep-map');
+    const orbitSelect = document.getElementById('keep-orbit');
+    const selectedLabel = document.getElementById('keep-selected');
+    const dots = {};
+    let selected = null;
+    let dragging = null;
+    let frame = null;
+
+    const select = (sliderId) => {
+        selected = sliderId;
+        Object.entries(dots).forEach(([id, dot]) => dot.classList.toggle('selected', id === sliderId));
+        selectedLabel.textContent = getSoundLabel(sliderId);
+        orbitSelect.value = String(state.layout[sliderId].orbit);
+        orbitSelect.disabled = false;
+    };
+
+    // Custom sounds come and go, so dots are matched to the sliders on open
+    const syncDots = () => {
+        const sliders = getSpatialSliders();
+        Object.keys(dots).forEach(id => {
+            if (sliders.some(el => el.id === id)) return;
+            dots[id].remove();
+            delete dots[id];
+            if (selected === id) {
+                selected = null;
+                selectedLabel.textContent = 'Select a sound';
+                orbitSelect.disabled = true;
+            }
+        });
+        sliders.forEach(slider => {
+            if (dots[slider.id]) {
+                dots[slider.id].querySelector('.keep-dot-label').textContent = getSoundLabel(slider.id);
+                return;
+            }
+            const dot = document.createElement('div');
+            dot.className = 'keep-dot';
+            dot.innerHTML = '<div class="keep-dot-marker"></div><span class="keep-dot-label"></span>';
+            dot.querySelector('.keep-dot-label').textContent = getSoundLabel(slider.id);
+            dot.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                select(slider.id);
+                dragging = slider.id;
+                map.setPointerCapture(e.pointerId);
+            });
+            map.appendChild(dot);
+            dots[slider.id] = dot;
+        });
+    };
+
+    map.addEventListener('pointermove', (e) => {
+        if (!dragging) return;
+        const rect = map.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width * 2 - 1;
+        const z = (e.clientY - rect.top) / rect.height * 2 - 1;
+        setSoundPosition(dragging, sanitizePosition({ x, z, orbit: state.layout[dragging].orbit }));
+    });
+    const endDrag = () => { dragging = null; };
+    map.addEventListener('pointerup', endDrag);
+    map.addEventListener('pointercancel', endDrag);
+
+    orbitSelect.addEventListener('change', () => {
+        if (!selected) return;
+        setSoundPosition(selected, { ...state.layout[selected], orbit: parseFloat(orbitSelect.value) });
+    });
+
+    // Dots follow the engine, so orbiting sounds move on the map too
+    const render = () => {
+        const now = audio.ctx.currentTime;
+        Object.entries(dots).forEach(([id, dot]) => {
+            const { x, z } = audio.mapPositionAt(CHANNEL_IDS[id], now);
+            dot.style.left = `${50 + x * 50}%`;
+            dot.style.top = `${50 + z * 50}%`;
+            dot.classList.toggle('active', parseFloat(document.getElementById(id).value) > 0);
+        });
+        frame = requestAnimationFrame(render);
+    };
+
+    document.getElementById('keep-map-btn').addEventListener('click', () => {
+        modal.classList.remove('hidden');
+        syncDots();
+        render();
+    });
+    document.getElementById('keep-close-btn').addEventListener('click', () => {
+        modal.classList.add('hidden');
+        cancelAnimationFrame(frame);
+    });
+    document.getElementById('keep-reset-btn').addEventListener('click', () => {
+        applyLayout({});
+        if (selected) select(selected);
+    });
+
+    applyLayout(state.layout);
+}
+
+// --- Local Database ---
+// IndexedDB holds what is too big for localStorage. Bump DB_VERSION and
+// extend onupgradeneeded when adding a store.
+const DB_NAME = 'dragon-keep';
+const DB_VERSION = 3;
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sounds')) db.createObjectStore('sounds', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('sessions')) db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                if (!db.objectStoreNames.contains('themes')) db.createObjectStore('themes', { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Step aside when another tab needs to upgrade; the next use reopens
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                    logAudioDebug('Database closed for an upgrade in another tab', 'warn');
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            // An older tab is holding the database open. Fail rather than wait,
+            // so startup is not held up; the next use tries again.
+            request.onblocked = () => {
+                dbPromise = null;
+                reject(new Error('Database upgrade blocked by another open tab'));
+            };
+        });
+    }
+    return dbPromise;
+}
+
+// Runs one request against a store; resolves with its result once the
+// transaction has committed
+async function dbRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+}
+
+// --- Custom Sounds ---
+// Imported recordings are stored in IndexedDB ({ id, name, blob, created })
+// and played through an <audio> element with a blob URL, so loadTrack()
+// decodes them exactly like the bundled sounds.
+const isCustomSound = sliderId => sliderId.startsWith('vol-custom-');
+
+function showCustomSoundStatus(msg, isError = false) {
+    const status = document.getElementById('custom-sound-status');
+    status.textContent = msg;
+    status.classList.toggle('text-red-500', isError);
+    status.classList.toggle('text-stone-500', !isError);
+}
+
+function addCustomSoundCard(sound) {
+    const sliderId = `vol-${sound.id}`;
+    const trackId = `${sound.id}-audio`;
+
+    createTrackElement(trackId, URL.createObjectURL(sound.blob)).dataset.custom = sound.id;
+    CHANNEL_IDS[sliderId] = trackId;
+
+    const card = createSoundCard({
+        id: sound.id,
+        name: sound.name,
+        icon: '<path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/>',
+        max: 1,
+    });
+    const controls = document.createElement('div');
+    controls.className = 'absolute top-2 right-2 flex';
+    controls.innerHTML = `
+        <button class="rename-sound text-stone-600 hover:text-amber-100 p-1" title="Rename">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4Z"/></svg>
+        </button>
+        <button class="delete-sound text-stone-600 hover:text-red-500 p-1" title="Delete">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+        </button>`;
+    card.appendChild(controls);
+    const grid = document.getElementById('custom-sounds');
+    grid.insertBefore(card, document.getElementById('add-sound-btn'));
+
+    card.querySelector('.rename-sound').addEventListener('click', () => renameCustomSound(sound));
+    card.querySelector('.delete-sound').addEventListener('click', () => deleteCustomSound(sound));
+
+    const slider = document.getElementById(sliderId);
+    bindTrackSlider(sliderId, trackId);
+    addToneControls(slider);
+    setSoundPosition(sliderId, sanitizePosition(state.layout[sliderId]) || defaultLayout()[sliderId]);
+    renderAutomationSounds();
+    audio.registerTrack(trackId);
+}
+
+async function importCustomSounds(files) {
+    const audioFiles = Array.from(files).filter(file => file.type.startsWith('audio/'));
+    if (!audioFiles.length) {
+        showCustomSoundStatus('Only audio files can be added', true);
+        return;
+    }
+    const failed = [];
+    for (const file of audioFiles) {
+        const sound = {
+            id: `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: file.name.replace(/\.[^.]+$/, '').slice(0, 40) || 'My Sound',
+            blob: file,
+            created: new Date().toISOString(),
+        };
+        try {
+            await dbRequest('sounds', 'readwrite', store => store.put(sound));
+        } catch (e) {
+            logAudioDebug(`Could not store ${file.name}: ${e.message}`, 'error');
+            failed.push(file.name);
+            continue;
+        }
+        addCustomSoundCard(sound);
+    }
+    // Only files that reached the database count as added
+    const added = audioFiles.length - failed.length;
+    if (failed.length) {
+        const names = failed.map(name => `"${name}"`).join(', ');
+        showCustomSoundStatus(`Added ${added} of ${audioFiles.length}; could not save ${names} (storage full?)`, true);
+    } else {
+        showCustomSoundStatus(`Added ${added} sound${added > 1 ? 's' : ''}`);
+    }
+}
+
+async function renameCustomSound(sound) {
+    const name = (window.prompt('Rename sound', sound.name) || '').trim().slice(0, 40);
+    if (!name || name === sound.name) return;
+    sound.name = name;
+    try {
+        await dbRequest('sounds', 'readwrite', store => store.put(sound));
+    } catch (e) {
+        logAudioDebug(`Could not rename ${sound.id}: ${e.message}`, 'error');
+        return;
+    }
+    document.getElementById(`vol-${sound.id}`).closest('.sound-card').querySelector('span').textContent = name;
+    renderAutomationSounds();
+    renderAutomation();
+}
+
+async function deleteCustomSound(sound) {
+    if (!window.confirm(`Delete "${sound.name}"? Presets using it will play without it.`)) return;
+    const sliderId = `vol-${sound.id}`;
+    const trackId = `${sound.id}-audio`;
+    try {
+        await dbRequest('sounds', 'readwrite', store => store.delete(sound.id));
+    } catch (e) {
+        logAudioDebug(`Could not delete ${sound.id}: ${e.message}`, 'error');
+        return;
+    }
+    audio.removeTrack(trackId);
+    const element = document.getElementById(trackId);
+    URL.revokeObjectURL(element.src);
+    element.remove();
+    document.getElementById(sliderId).closest('.sound-card').remove();
+    delete CHANNEL_IDS[sliderId];
+    delete state.volumes[sliderId];
+    state.muted.delete(sliderId);
+    if (state.solo === sliderId) setSoloSound(null);
+    delete state.tone[sliderId];
+    delete state.layout[sliderId];
+    localStorage.setItem('dragon_tone', JSON.stringify(state.tone));
+    localStorage.setItem('dragon_layout', JSON.stringify(state.layout));
+    if (state.automation.some(seg => seg.sound === sliderId)) {
+        setAutomation(state.automation.filter(seg => seg.sound !== sliderId));
+    }
+    renderAutomationSounds();
+    showCustomSoundStatus(`Deleted "${sound.name}"`);
+}
+
+async function setupCustomSounds() {
+    const grid = document.getElementById('custom-sounds');
+    const fileInput = document.getElementById('sound-file-input');
+
+    document.getElementById('add-sound-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length) importCustomSounds(fileInput.files);
+        fileInput.value = '';
+    });
+    grid.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        grid.classList.add('bg-amber-900/10');
+    });
+    grid.addEventListener('dragleave', () => grid.classList.remove('bg-amber-900/10'));
+    grid.addEventListener('drop', (e) => {
+        e.preventDefault();
+        grid.classList.remove('bg-amber-900/10');
+        if (e.dataTransfer.files.length) importCustomSounds(e.dataTransfer.files);
+    });
+
+    if (!window.indexedDB) {
+        document.getElementById('add-sound-btn').disabled = true;
+        showCustomSoundStatus('Custom sounds need a browser with IndexedDB', true);
+        return;
+    }
+    try {
+        const sounds = await dbRequest('sounds', 'readonly', store => store.getAll());
+        sounds.sort((a, b) => a.created.localeCompare(b.created)).forEach(addCustomSoundCard);
+    } catch (e) {
+        logAudioDebug(`Could not load custom sounds: ${e.message}`, 'error');
+    }
+}
+
+// --- Session History ---
+// Every sleep timer run and Pomodoro focus session is logged in the
+// 'sessions' store as { id, type: 'sleep' | 'focus', start, end (ms),
+// planned (minutes), interrupted, preset, sounds }. `preset` names the saved
+// preset the mix matched when the session ended, if any.
+// The saved preset whose volumes the sliders currently match, or ''
+function matchingPresetName() {
+    const current = {};
+    getVolumeSliders().forEach(el => current[el.id] = parseFloat(el.value));
+    const found = Object.entries(readPresets()).find(([, preset]) =>
+        Object.keys({ ...current, ...preset.volumes }).every(id =>
+            Math.abs((current[id] || 0) - (preset.volumes[id] || 0)) < 0.01));
+    return found ? found[0] : '';
+}
+
+async function recordSession(session) {
+    // Timers set and cancelled straight away aren't worth a row
+    if (session.end - session.start < 60000) return;
+    const entry = {
+        ...session,
+        preset: matchingPresetName(),
+        sounds: [...getVolumeSliders()].filter(el => parseFloat(el.value) > 0).map(el => getSoundLabel(el.id)),
+    };
+    try {
+        await dbRequest('sessions', 'readwrite', store => store.add(entry));
+        logAudioDebug(`Logged ${entry.type} session (${Math.round((entry.end - entry.start) / 60000)} min)`);
+    } catch (e) {
+        logAudioDebug(`Could not log session: ${e.message}`, 'error');
+    }
+}
+
+function readSessions() {
+    return dbRequest('sessions', 'readonly', store => store.getAll());
+}
+
+const startOfDay = time => new Date(time).setHours(0, 0, 0, 0);
+// Calendar days rather than 24h steps, so daylight saving changes don't skew them
+const addDays = (day, n) => {
+    const d = new Date(day);
+    d.setDate(d.getDate() + n);
+    return d.getTime();
+};
+
+function formatMinutes(mins) {
+    const h = Math.floor(mins / 60);
+    const m = Math.round(mins % 60);
+    return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
+
+// Totals in minutes, streaks in days (a day counts once it has a finished
+// session) and the five most-used mixes by time
+function computeStats(sessions, now = Date.now()) {
+    const today = startOfDay(now);
+    const minutes = s => (s.end - s.start) / 60000;
+    const total = (from, to, type) => sessions
+        .filter(s => s.type === type && s.start >= from && s.start < to)
+        .reduce((sum, s) => sum + minutes(s), 0);
+    const tomorrow = addDays(today, 1);
+    const weekStart = addDays(today, -6);
+
+    // Last seven days, oldest first
+    const days = [];
+    for (let day = weekStart; day < tomorrow; day = addDays(day, 1)) {
+        days.push({ day, focus: total(day, addDays(day, 1), 'focus'), sleep: total(day, addDays(day, 1), 'sleep') });
+    }
+
+    // The current streak may still be waiting on today's session
+    const done = new Set(sessions.filter(s => !s.interrupted).map(s => startOfDay(s.start)));
+    let current = 0;
+    for (let day = done.has(today) ? today : addDays(today, -1); done.has(day); day = addDays(day, -1)) current++;
+    let best = 0, run = 0, prev = null;
+    [...done].sort((a, b) => a - b).forEach(day => {
+        run = prev !== null && addDays(prev, 1) === day ? run + 1 : 1;
+        best = Math.max(best, run);
+        prev = day;
+    });
+
+    const mixes = {};
+    sessions.forEach(s => {
+        const name = s.preset || (s.sounds.length ? s.sounds.join(' + ') : 'Silence');
+        mixes[name] = (mixes[name] || 0) + minutes(s);
+    });
+
+    return {
+        today: { focus: total(today, tomorrow, 'focus'), sleep: total(today, tomorrow, 'sleep') },
+        week: { focus: total(weekStart, tomorrow, 'focus'), sleep: total(weekStart, tomorrow, 'sleep') },
+        days,
+        streak: { current, best },
+        topMixes: Object.entries(mixes).sort((a, b) => b[1] - a[1]).slice(0, 5),
+    };
+}
+
+function sessionsToCsv(sessions) {
+    // Preset and sound names are user input: a leading ' keeps spreadsheets
+    // from running them as formulas (tab and CR can start one too)
+    const quote = v => `"${String(v).replace(/^[=+\-@\t\r]/, "'$&").replace(/"/g, '""')}"`;
+    const rows = [['type', 'start', 'end', 'minutes', 'planned_minutes', 'interrupted', 'preset', 'sounds']];
+    sessions.forEach(s => rows.push([
+        s.type,
+        new Date(s.start).toISOString(),
+        new Date(s.end).toISOString(),
+        Math.round((s.end - s.start) / 60000),
+        s.planned || '',
+        s.interrupted ? 'yes' : 'no',
+        s.preset,
+        s.sounds.join('; '),
+    ]));
+    return rows.map(row => row.map(quote).join(',')).join('\r\n');
+}
+
+async function renderStats() {
+    const body = document.getElementById('stats-body');
+    let sessions;
+    try {
+        sessions = await readSessions();
+    } catch (e) {
+        body.textContent = `Could not read history: ${e.message}`;
+        return;
+    }
+    if (!sessions.length) {
+        body.innerHTML = '<div class="text-stone-600 text-sm italic text-center py-4">No sessions yet. Finished sleep timers and Pomodoro focus sessions show up here.</div>';
+        return;
+    }
+    const stats = computeStats(sessions);
+    const busiest = Math.max(1, ...stats.days.map(d => d.focus + d.sleep));
+    const bars = stats.days.map(d => {
+        const label = new Date(d.day).toLocaleDateString([], { weekday: 'short' });
+        return `<div class="flex flex-col items-center gap-1 flex-1" title="${label}: focus ${formatMinutes(d.focus)}, sleep ${formatMinutes(d.sleep)}">
+            <div class="w-full h-20 flex flex-col justify-end">
+                <div class="bg-amber-700/70 rounded-t" style="height: ${(d.focus / busiest) * 100}%"></div>
+                <div class="bg-red-900/70" style="height: ${(d.sleep / busiest) * 100}%"></div>
+            </div>
+            <span class="text-[10px] text-stone-600">${label}</span>
+        </div>`;
+    }).join('');
+    body.innerHTML = `
+        <div class="grid grid-cols-2 gap-2 mb-4 text-center">
+            <div class="bg-stone-950 rounded border border-stone-800 p-2"><div class="text-xs text-stone-500 uppercase tracking-wider">Today</div>
+                <div class="text-sm text-stone-300">Focus ${formatMinutes(stats.today.focus)}<br>Sleep ${formatMinutes(stats.today.sleep)}</div></div>
+            <div class="bg-stone-950 rounded border border-stone-800 p-2"><div class="text-xs text-stone-500 uppercase tracking-wider">Last 7 days</div>
+                <div class="text-sm text-stone-300">Focus ${formatMinutes(stats.week.focus)}<br>Sleep ${formatMinutes(stats.week.sleep)}</div></div>
+        </div>
+        <div class="flex gap-1 mb-1">${bars}</div>
+        <div class="flex justify-center gap-4 text-[10px] text-stone-600 mb-4">
+            <span><span class="inline-block w-2 h-2 bg-amber-700/70"></span> Focus</span>
+            <span><span class="inline-block w-2 h-2 bg-red-900/70"></span> Sleep</span>
+        </div>
+        <div class="text-sm text-stone-400 text-center mb-4">Streak: <span class="text-amber-500 font-bold">${stats.streak.current}</span> day${stats.streak.current === 1 ? '' : 's'} · best ${stats.streak.best}</div>
+        <div class="text-xs text-stone-500 uppercase tracking-wider mb-2">Most used mixes</div>
+        <ol id="stats-mixes" class="flex flex-col gap-1 text-sm text-stone-300"></ol>`;
+    // Mix names come from presets and custom sounds, so never render them as HTML
+    const list = document.getElementById('stats-mixes');
+    stats.topMixes.forEach(([name, mins]) => {
+        const item = document.createElement('li');
+        item.className = 'flex justify-between gap-2';
+        item.innerHTML = '<span class="truncate"></span><span class="text-stone-500 shrink-0"></span>';
+        item.children[0].textContent = name;
+        item.children[1].textContent = formatMinutes(mins);
+        list.appendChild(item);
+    });
+}
+
+function showStatsStatus(msg, isError = false) {
+    const status = document.getElementById('stats-status');
+    status.textContent = msg;
+    status.classList.toggle('text-red-500', isError);
+    status.classList.toggle('text-stone-500', !isError);
+}
+
+function setupStats() {
+    const modal = document.getElementById('stats-modal');
+    document.getElementById('stats-btn').addEventListener('click', () => {
+        showStatsStatus('');
+        modal.classList.remove('hidden');
+        renderStats();
+    });
+    document.getElementById('stats-close-btn').addEventListener('click', () => modal.classList.add('hidden'));
+
+    document.getElementById('stats-export-btn').addEventListener('click', async () => {
+        let sessions;
+        try {
+            sessions = await readSessions();
+        } catch (e) {
+            logAudioDebug(`Could not export history: ${e.message}`, 'error');
+            showStatsStatus('Could not read history for export', true);
+            return;
+        }
+        const blob = new Blob([sessionsToCsv(sessions)], { type: 'text/csv' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `dragon-keep-history-${new Date().toISOString().slice(0, 10)}.csv`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        showStatsStatus(`Exported ${sessions.length} session${sessions.length === 1 ? '' : 's'}`);
+    });
+
+    document.getElementById('stats-clear-btn').addEventListener('click', async () => {
+        if (!confirm('Delete all session history? This cannot be undone.')) return;
+        try {
+            await dbRequest('sessions', 'readwrite', store => store.clear());
+        } catch (e) {
+            logAudioDebug(`Could not clear history: ${e.message}`, 'error');
+            showStatsStatus('Could not clear history', true);
+            return;
+        }
+        showStatsStatus('History cleared');
+        renderStats();
+    });
+}
+
+// --- Wake Alarm ---
+// The alarm raises a wake mix from silence over `window` minutes so it is at
+// full volume at the wake time, then rings until dismissed.
+const WAKE_MIX = { volumes: { 'vol-valley': 0.5, 'vol-green': 0.15 } };
+
+// Only the form fields are saved; anything unreadable falls back to empty
+function sanitizeAlarm(saved) {
+    const data = saved && typeof saved === 'object' ? saved : {};
+    return {
+        time: typeof data.time === 'string' && /^\d{2}:\d{2}$/.test(data.time) ? data.time : '',
+        window: Number.isInteger(data.window) && data.window >= 0 ? data.window : 0,
+        mix: typeof data.mix === 'string' ? data.mix : '',
+    };
+}
+
+function setupAlarm() {
+    const timeInput = document.getElementById('alarm-time');
+    const windowInput = document.getElementById('alarm-window');
+    const mixSelect = document.getElementById('alarm-mix');
+    const setBtn = document.getElementById('alarm-set-btn');
+    const display = document.getElementById('alarm-display');
+    const overlay = document.getElementById('alarm-overlay');
+
+    const saved = sanitizeAlarm(readJSON('dragon_alarm', null));
+    if (saved.time) timeInput.value = saved.time;
+    if (saved.window) windowInput.value = saved.window;
+
+    let alarm = null; // { wakeAt, riseAt, mix, phase: 'armed' | 'rising' | 'ringing', chimes }
+    let alarmInt;
+
+    function refreshMixOptions() {
+        const current = mixSelect.value || saved.mix || '';
+        mixSelect.innerHTML = '<option value="">Dawn (wake mix)</option>';
+        Object.keys(readPresets()).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            mixSelect.appendChild(option);
+        });
+        mixSelect.value = [...mixSelect.options].some(o => o.value === current) ? current : '';
+    }
+    mixSelect.addEventListener('focus', refreshMixOptions);
+    refreshMixOptions();
+
+    function nextOccurrence(time) {
+        const [h, m] = time.split(':').map(Number);
+        const wake = new Date();
+        wake.setHours(h, m, 0, 0);
+        if (wake.getTime() <= Date.now()) wake.setDate(wake.getDate() + 1);
+        return wake.getTime();
+    }
+
+    function wakeMix(name) {
+        const volumes = {};
+        getVolumeSliders().forEach(el => volumes[el.id] = 0);
+        const preset = name && readPresets()[name];
+        if (!preset) return { volumes: { ...volumes, ...WAKE_MIX.volumes } };
+        return { ...preset, volumes: { ...volumes, ...preset.volumes } };
+    }
+
+    function arm() {
+        if (!timeInput.value) return;
+        const windowMins = Math.max(0, parseInt(windowInput.value, 10) || 0);
+        const wakeAt = nextOccurrence(timeInput.value);
+        alarm = {
+            wakeAt,
+            riseAt: wakeAt - windowMins * 60000,
+            mix: mixSelect.value,
+            phase: 'armed',
+            chimes: new Set(),
+        };
+        localStorage.setItem('dragon_alarm', JSON.stringify({ time: timeInput.value, window: windowMins, mix: alarm.mix }));
+
+        if (audio.ctx.state === 'suspended') audio.ctx.resume();
+        audio.startKeepAlive();
+        clearInterval(alarmInt);
+        alarmInt = setInterval(tick, 1000);
+        tick();
+        logAudioDebug(`Alarm set for ${new Date(wakeAt).toLocaleTimeString()}`);
+    }
+
+    // Chimes drop out of the set once they have played, so a long ring only
+    // holds the ones still queued
+    function queueChimes(from, until) {
+        const chimes = alarm.chimes;
+        audio.scheduleAlarm(from, until).forEach(osc => {
+            chimes.add(osc);
+            osc.onended = () => chimes.delete(osc);
+        });
+    }
+
+    function disarm() {
+        clearInterval(alarmInt);
+        if (alarm) alarm.chimes.forEach(osc => { try { osc.stop(); } catch (e) { /* already ended */ } });
+        alarm = null;
+        audio.stopKeepAlive();
+        overlay.classList.add('hidden');
+        render();
+    }
+
+    function tick() {
+        const now = Date.now();
+        if (alarm.phase === 'armed' && now >= alarm.riseAt) {
+            alarm.phase = 'rising';
+            // The sleep timer would fade the wake mix straight back out
+            window.clearTime();
+            applyPreset(wakeMix(alarm.mix));
+            audio.fadeMasterIn((alarm.wakeAt - now) / 1000);
+            updateMasterBtnUI();
+            // Queue the first five minutes of ringing on the audio clock now,
+            // in case timers are throttled when the wake time arrives
+            const ringAt = audio.ctx.currentTime + Math.max(0, (alarm.wakeAt - now) / 1000);
+            queueChimes(ringAt, ringAt + 300);
+            alarm.chimesUntil = alarm.wakeAt + 300000;
+        }
+        if (alarm.phase === 'rising' && now >= alarm.wakeAt) {
+            alarm.phase = 'ringing';
+            overlay.classList.remove('hidden');
+        }
+        if (alarm.phase === 'ringing' && alarm.chimesUntil - now < 120000) {
+            const from = audio.ctx.currentTime + (alarm.chimesUntil - now) / 1000;
+            queueChimes(from, from + 300);
+            alarm.chimesUntil += 300000;
+        }
+        if (audio.ctx.state !== 'running') audio.ctx.resume();
+        render();
+    }
+
+    function render() {
+        setBtn.innerText = alarm ? 'Cancel' : 'Set';
+        display.classList.toggle('hidden', !alarm);
+        if (!alarm) return;
+        const left = Math.max(0, Math.ceil((alarm.wakeAt - Date.now()) / 60000));
+        const h = Math.floor(left / 60);
+        const m = left % 60;
+        const at = new Date(alarm.wakeAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        display.innerText = alarm.phase === 'ringing' ? `Wake ${at}` : `Wake ${at} · ${h > 0 ? `${h}h ${m}m` : `${m}m`}`;
+    }
+
+    setBtn.addEventListener('click', () => alarm ? disarm() : arm());
+    document.getElementById('alarm-dismiss-btn').addEventListener('click', disarm);
+    render();
+}
+
+// --- Mix Automation ---
+// Each segment ramps one sound from `from` to `to` over `duration` minutes,
+// `start` minutes after the automation is started. The engine schedules the
+// ramps; this side only edits segments, draws the timeline and keeps sliders
+// in step with what the lanes are doing.
+let automationStart = null;
+let automationInt;
+
+function setAutomation(segments) {
+    stopAutomation();
+    state.automation = segments.filter(seg => CHANNEL_IDS[seg.sound]);
+    renderAutomation();
+}
+
+// Slider id -> engine lane segments (in seconds)
+function automationLanes() {
+    const bySound = {};
+    state.automation.forEach(seg => (bySound[seg.sound] = bySound[seg.sound] || []).push({
+        start: seg.start * 60, duration: seg.duration * 60, from: seg.from, to: seg.to
+    }));
+    Object.values(bySound).forEach(segments => segments.sort((a, b) => a.start - b.start));
+    return bySound;
+}
+
+// Lanes drive the channel gain directly, so a muted or unsoloed sound runs
+// its lane flat at zero: still automated, and its slider still follows along
+function automateSound(sliderId, segments) {
+    const lane = isSilenced(sliderId) ? segments.map(seg => ({ ...seg, from: 0, to: 0 })) : segments;
+    audio.automate(CHANNEL_IDS[sliderId], lane, automationStart);
+}
+
+function startAutomation() {
+    stopAutomation();
+    if (!state.automation.length) return;
+    stopEvolve(); // Both drive the same sliders
+    automationStart = audio.ctx.currentTime;
+
+    Object.entries(automationLanes()).forEach(([sliderId, segments]) => {
+        // Route through the slider first so the engine has the channel registered
+        const el = document.getElementById(sliderId);
+        el.dispatchEvent(new Event('input'));
+        automateSound(sliderId, segments);
+    });
+
+    automationInt = setInterval(syncAutomation, 1000);
+    syncAutomation();
+    logAudioDebug(`Automation started (${state.automation.length} segments)`);
+}
+
+// Re-queues the lanes after segments were added or removed while running,
+// against the same start, so the schedule carries on from where it is
+function rescheduleAutomation() {
+    if (!state.automation.length) {
+        stopAutomation();
+        return;
+    }
+    const lanes = automationLanes();
+    Object.keys(CHANNEL_IDS).forEach(sliderId => {
+        const id = CHANNEL_IDS[sliderId];
+        const laned = audio.lanes[id] || audio.pendingLanes[id];
+        const el = document.getElementById(sliderId);
+        if (lanes[sliderId]) {
+            // New lanes register the channel through the slider first
+            if (!laned) el.dispatchEvent(new Event('input'));
+            automateSound(sliderId, lanes[sliderId]);
+        } else if (laned) {
+            // Its last segment is gone: the slider has it again
+            el.dispatchEvent(new Event('input'));
+        }
+    });
+    syncAutomation();
+}
+
+function stopAutomation() {
+    clearInterval(automationInt);
+    if (automationStart === null) return;
+    const automated = syncAutomationSliders();
+    automationStart = null;
+    // Hand each sound back to its slider at the level its lane reached
+    automated.forEach(el => el.dispatchEvent(new Event('input')));
+    renderAutomation();
+}
+
+// Mirror running lanes onto their sliders without dispatching 'input',
+// which would count as a manual override and cancel the lane
+function syncAutomationSliders() {
+    const elapsed = audio.ctx.currentTime - automationStart;
+    const lanes = automationLanes();
+    const automated = [];
+    Object.keys(CHANNEL_IDS).forEach(sliderId => {
+        const id = CHANNEL_IDS[sliderId];
+        const lane = audio.lanes[id] || audio.pendingLanes[id];
+        if (!lane) return;
+        const el = document.getElementById(sliderId);
+        // The lane as set, not as scheduled: silenced sounds run theirs at zero
+        el.value = laneValueAt(lanes[sliderId] || lane.segments, elapsed);
+        state.volumes[sliderId] = parseFloat(el.value);
+        updateSoundCardUI(el);
+        automated.push(el);
+    });
+    return automated;
+}
+
+function syncAutomation() {
+    const elapsed = (audio.ctx.currentTime - automationStart) / 60;
+    const end = Math.max(...state.automation.map(seg => seg.start + seg.duration));
+    const automated = syncAutomationSliders();
+    // Finished, or every lane was overridden by hand
+    if (!automated.length || elapsed > end) stopAutomation();
+    else renderAutomation();
+}
+
+function renderAutomation() {
+    const svg = document.getElementById('automation-timeline');
+    const list = document.getElementById('automation-list');
+    const startBtn = document.getElementById('automation-start-btn');
+    if (!svg) return;
+
+    const running = automationStart !== null;
+    startBtn.innerText = running ? 'Stop' : 'Start';
+    startBtn.disabled = !state.automation.length;
+
+    // Timeline: one lane per sound, x in minutes, y in slider range
+    const sounds = [...new Set(state.automation.map(seg => seg.sound))];
+    const total = Math.max(10, ...state.automation.map(seg => seg.start + seg.duration)) * 1.1;
+    const width = 300, laneH = 24;
+    svg.setAttribute('viewBox', `0 0 ${width} ${Math.max(1, sounds.length) * laneH}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.style.height = `${Math.max(1, sounds.length) * laneH}px`;
+
+    let markup = '';
+    sounds.forEach((sound, i) => {
+        const max = parseFloat(document.getElementById(sound).max);
+        const segments = state.automation.filter(seg => seg.sound === sound).sort((a, b) => a.start - b.start);
+        const y = v => i * laneH + laneH - 3 - (v / max) * (laneH - 6);
+        const x = m => (m / total) * width;
+        let points = `0,${y(segments[0].from)}`;
+        segments.forEach(seg => {
+            const held = laneValueAt(segments, seg.start - 1e-6);
+            points += ` ${x(seg.start)},${y(held)} ${x(seg.start)},${y(seg.from)} ${x(seg.start + seg.duration)},${y(seg.to)}`;
+        });
+        points += ` ${width},${y(segments[segments.length - 1].to)}`;
+        markup += `<line x1="0" y1="${(i + 1) * laneH}" x2="${width}" y2="${(i + 1) * laneH}" stroke="#292524" stroke-width="1" />`;
+        markup += `<polyline points="${points}" fill="none" stroke="#b45309" stroke-width="1.5" vector-effect="non-scaling-stroke" />`;
+    });
+    if (running) {
+        const px = ((audio.ctx.currentTime - automationStart) / 60 / total) * width;
+        markup += `<line x1="${px}" y1="0" x2="${px}" y2="${sounds.length * laneH}" stroke="#ef4444" stroke-width="1" vector-effect="non-scaling-stroke" />`;
+    }
+    svg.innerHTML = markup;
+    // Labels can be custom sound names, so they go in as text
+    sounds.forEach((sound, i) => {
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('x', '3');
+        label.setAttribute('y', String(i * laneH + 10));
+        label.setAttribute('fill', '#78716c');
+        label.setAttribute('font-size', '8');
+        label.textContent = getSoundLabel(sound);
+        svg.appendChild(label);
+    });
+
+    list.innerHTML = '';
+    if (!state.automation.length) {
+        list.innerHTML = '<div class="text-stone-600 text-sm italic text-center py-2">No automation</div>';
+    }
+    state.automation.forEach((seg, index) => {
+        const row = document.createElement('div');
+        row.className = 'flex justify-between items-center bg-stone-950 px-2 py-1 rounded border border-stone-800 text-xs text-stone-400';
+        row.innerHTML = `<span></span>
+            <button class="text-stone-600 hover:text-red-500 p-1" title="Remove">
+                <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+            </button>`;
+        row.querySelector('span').textContent = seg.duration > 0
+            ? `${getSoundLabel(seg.sound)}: ${seg.from} → ${seg.to} from ${seg.start}m over ${seg.duration}m`
+            : `${getSoundLabel(seg.sound)}: ${seg.to} at ${seg.start}m`;
+        row.querySelector('button').addEventListener('click', () => {
+            state.automation.splice(index, 1);
+            if (running) rescheduleAutomation();
+            else renderAutomation();
+        });
+        list.appendChild(row);
+    });
+}
+
+// Rebuilt whenever custom sounds are added, renamed or deleted
+function renderAutomationSounds() {
+    const soundSelect = document.getElementById('auto-sound');
+    const current = soundSelect.value;
+    soundSelect.innerHTML = '';
+    getVolumeSliders().forEach(el => {
+        const option = document.createElement('option');
+        option.value = el.id;
+        option.textContent = getSoundLabel(el.id);
+        soundSelect.appendChild(option);
+    });
+    if (current && document.getElementById(current)) soundSelect.value = current;
+}
+
+function setupAutomation() {
+    const soundSelect = document.getElementById('auto-sound');
+    renderAutomationSounds();
+
+    document.getElementById('automation-add-btn').addEventListener('click', () => {
+        const sound = soundSelect.value;
+        const max = parseFloat(document.getElementById(sound).max);
+        const num = id => parseFloat(document.getElementById(id).value);
+        const seg = {
+            sound,
+            from: Math.min(max, num('auto-from')),
+            to: Math.min(max, num('auto-to')),
+            start: num('auto-start'),
+            duration: num('auto-duration') || 0,
+        };
+        if (![seg.from, seg.to, seg.start, seg.duration].every(isVolume)) return;
+
+        const overlaps = state.automation.some(other => other.sound === sound &&
+            seg.start < other.start + other.duration && other.start < seg.start + seg.duration);
+        if (overlaps) {
+            logAudioDebug(`Automation segment overlaps another for ${sound}`, 'warn');
+            return;
+        }
+        state.automation.push(seg);
+        if (automationStart !== null) rescheduleAutomation();
+        else renderAutomation();
+    });
+
+    document.getElementById('automation-start-btn').addEventListener('click', () => {
+        if (automationStart !== null) stopAutomation();
+        else startAutomation();
+    });
+
+    renderAutomation();
+}
+
+// --- Evolve ---
+// Each active sound wanders inside its own { min, max } range, easing between
+// random waypoints, and one-shot events drop in now and then. Everything is
+// drawn from a seeded generator in "evolve time" (real time times speed), so
+// the same seed, speed and starting mix replay the same night.
+const EVOLVE_EVENTS = ['roar', 'thunder', 'log'];
+let evolveRun = null; // { sounds, events, clock, int } while running
+
+function newEvolveSeed() {
+    return 1 + Math.floor(Math.random() * 999999);
+}
+
+// Stored evolve settings, with a fresh seed and defaults for anything unusable
+function sanitizeEvolve(evolve) {
+    const data = evolve && typeof evolve === 'object' ? evolve : {};
+    const isPositive = v => typeof v === 'number' && isFinite(v) && v > 0;
+    const ranges = {};
+    if (data.ranges && typeof data.ranges === 'object') {
+        Object.entries(data.ranges).forEach(([id, range]) => {
+            if (range && isVolume(range.min) && isVolume(range.max) && range.min <= range.max) {
+                ranges[id] = { min: range.min, max: range.max };
+            }
+        });
+    }
+    return {
+        seed: isPositive(data.seed) ? data.seed : newEvolveSeed(),
+        speed: isPositive(data.speed) ? data.speed : 1,
+        events: typeof data.events === 'boolean' ? data.events : true,
+        ranges,
+    };
+}
+
+// mulberry32: tiny, fast and plenty random for wandering volumes
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A separate stream per sound, so adding one doesn't change how the others move
+function streamSeed(seed, key) {
+    let h = seed >>> 0;
+    for (let i = 0; i < key.length; i++) h = Math.imul(h ^ key.charCodeAt(i), 2654435761);
+    return h >>> 0;
+}
+
+function getEvolveRange(el) {
+    const saved = state.evolve.ranges[el.id];
+    if (saved) return saved;
+    const max = parseFloat(el.max), vol = parseFloat(el.value);
+    const round = v => Math.round(v * 100) / 100;
+    return { min: round(Math.max(0, vol - 0.15 * max)), max: round(Math.min(max, vol + 0.15 * max)) };
+}
+
+function saveEvolve() {
+    localStorage.setItem('dragon_evolve', JSON.stringify(state.evolve));
+}
+
+function evolveTime() {
+    const { clock } = evolveRun;
+    return clock.tau + (audio.ctx.currentTime - clock.time) * state.evolve.speed;
+}
+
+// Eases between waypoints 40-120 evolve-seconds apart, adding more as needed
+function evolveValueAt(sound, tau) {
+    const { points, rng } = sound;
+    while (points[points.length - 1].tau < tau) {
+        const range = getEvolveRange(document.getElementById(sound.id));
+        points.push({
+            tau: points[points.length - 1].tau + 40 + rng() * 80,
+            value: range.min + rng() * (range.max - range.min),
+        });
+    }
+    const i = points.findIndex(p => p.tau >= tau);
+    if (i <= 0) return points[0].value;
+    const a = points[i - 1], b = points[i];
+    const w = (1 - Math.cos(Math.PI * (tau - a.tau) / (b.tau - a.tau))) / 2;
+    return a.value + (b.value - a.value) * w;
+}
+
+function startEvolve() {
+    stopEvolve();
+    stopAutomation();
+    const { seed } = state.evolve;
+    const sounds = {};
+    getVolumeSliders().forEach(el => {
+        if (parseFloat(el.value) === 0) return;
+        // Pin the ranges used, so a replay gets the same ones
+        state.evolve.ranges[el.id] = getEvolveRange(el);
+        sounds[el.id] = {
+            id: el.id,
+            rng: seededRandom(streamSeed(seed, el.id)),
+            points: [{ tau: 0, value: parseFloat(el.value) }],
+            last: parseFloat(el.value),
+        };
+    });
+    saveEvolve();
+
+    const rng = seededRandom(streamSeed(seed, 'events'));
+    evolveRun = {
+        sounds,
+        events: { rng, next: 60 + rng() * 240 },
+        clock: { time: audio.ctx.currentTime, tau: 0 },
+        int: setInterval(tickEvolve, 1000),
+    };
+    logAudioDebug(`Evolve started (seed ${seed}, ${Object.keys(sounds).length} sounds)`);
+    renderEvolve();
+}
+
+function stopEvolve() {
+    if (!evolveRun) return;
+    clearInterval(evolveRun.int);
+    evolveRun = null;
+    renderEvolve();
+}
+
+function tickEvolve() {
+    const tau = evolveTime();
+    Object.values(evolveRun.sounds).forEach(sound => {
+        const el = document.getElementById(sound.id);
+        // Moved by hand (or deleted): that sound is the user's again
+        if (!el || Math.abs(parseFloat(el.value) - sound.last) > 0.005) {
+            delete evolveRun.sounds[sound.id];
+            return;
+        }
+        el.value = evolveValueAt(sound, tau);
+        if (parseFloat(el.value) !== sound.last) el.dispatchEvent(new Event('input'));
+        sound.last = parseFloat(el.value);
+    });
+
+    // Events are queued on the audio clock a couple of seconds ahead. The
+    // draws happen whether or not events are on, so toggling them never
+    // changes the drift.
+    const events = evolveRun.events;
+    const horizon = tau + 2 * state.evolve.speed;
+    while (events.next < horizon) {
+        const type = EVOLVE_EVENTS[Math.floor(events.rng() * EVOLVE_EVENTS.length)];
+        const angle = events.rng() * 2 * Math.PI;
+        const level = 0.3 + events.rng() * 0.4;
+        if (state.evolve.events) {
+            const when = evolveRun.clock.time + (events.next - evolveRun.clock.tau) / state.evolve.speed;
+            audio.playEvent(type, Math.max(when, audio.ctx.currentTime), { level, angle });
+            document.getElementById('evolve-status').textContent = `Last event: ${type} at ${new Date().toLocaleTimeString()}`;
+        }
+        events.next += 120 + events.rng() * 480;
+    }
+}
+
+function setEvolveSpeed(speed) {
+    // Re-anchor the clock so evolve time carries on from where it is
+    if (evolveRun) evolveRun.clock = { time: audio.ctx.currentTime, tau: evolveTime() };
+    state.evolve.speed = speed;
+    saveEvolve();
+}
+
+function renderEvolve() {
+    const list = document.getElementById('evolve-ranges');
+    if (!list) return;
+    const running = evolveRun !== null;
+    document.getElementById('evolve-start-btn').innerText = running ? 'Stop' : 'Start';
+    document.getElementById('evolve-seed').disabled = running;
+    document.getElementById('evolve-seed-btn').disabled = running;
+    document.getElementById('evolve-seed').value = state.evolve.seed;
+
+    const active = running
+        ? Object.keys(evolveRun.sounds).map(id => document.getElementById(id)).filter(Boolean)
+        : [...getVolumeSliders()].filter(el => parseFloat(el.value) > 0);
+    list.innerHTML = '';
+    if (!active.length) {
+        list.innerHTML = '<div class="text-stone-600 text-sm italic text-center py-2 col-span-full">Turn up a few sounds to let them evolve</div>';
+    }
+    active.forEach(el => {
+        const range = getEvolveRange(el);
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-2 bg-stone-950 px-2 py-1 rounded border border-stone-800 text-xs text-stone-400';
+        row.innerHTML = `<span class="flex-1 truncate"></span>
+            <input type="number" data-bound="min" min="0" max="${el.max}" step="0.05" aria-label="Lowest"
+                class="w-16 bg-stone-900 border border-stone-800 rounded px-1 py-1 text-stone-300 focus:outline-none focus:border-amber-900">
+            <span>–</span>
+            <input type="number" data-bound="max" min="0" max="${el.max}" step="0.05" aria-label="Highest"
+                class="w-16 bg-stone-900 border border-stone-800 rounded px-1 py-1 text-stone-300 focus:outline-none focus:border-amber-900">`;
+        row.querySelector('span').textContent = getSoundLabel(el.id);
+        const [minInput, maxInput] = row.querySelectorAll('input');
+        minInput.value = range.min;
+        maxInput.value = range.max;
+        const update = () => {
+            const max = parseFloat(el.max);
+            const lo = Math.min(max, Math.max(0, parseFloat(minInput.value) || 0));
+            const hi = Math.min(max, Math.max(0, parseFloat(maxInput.value) || 0));
+            state.evolve.ranges[el.id] = { min: Math.min(lo, hi), max: Math.max(lo, hi) };
+            saveEvolve();
+        };
+        minInput.addEventListener('change', update);
+        maxInput.addEventListener('change', update);
+        list.appendChild(row);
+    });
+}
+
+function setupEvolve() {
+    const seedInput = document.getElementById('evolve-seed');
+    const speedSelect = document.getElementById('evolve-speed');
+    const eventsBox = document.getElementById('evolve-events');
+
+    seedInput.addEventListener('change', () => {
+        const seed = parseInt(seedInput.value);
+        if (seed > 0) state.evolve.seed = seed;
+        saveEvolve();
+        renderEvolve();
+    });
+    document.getElementById('evolve-seed-btn').addEventListener('click', () => {
+        state.evolve.seed = newEvolveSeed();
+        saveEvolve();
+        renderEvolve();
+    });
+
+    speedSelect.value = String(state.evolve.speed);
+    if (speedSelect.selectedIndex < 0) speedSelect.value = '1';
+    speedSelect.addEventListener('change', () => setEvolveSpeed(parseFloat(speedSelect.value)));
+
+    eventsBox.checked = state.evolve.events;
+    eventsBox.addEventListener('change', () => {
+        state.evolve.events = eventsBox.checked;
+        saveEvolve();
+    });
+
+    document.getElementById('evolve-start-btn').addEventListener('click', () => {
+        if (evolveRun) stopEvolve();
+        else startEvolve();
+    });
+
+    // The range list follows which sounds are on until evolve starts. Presets
+    // and A/B fades dispatch non-bubbling 'input' events, hence the capture;
+    // redraws are held to one per frame while a slider moves.
+    let redraw = null;
+    document.addEventListener('input', e => {
+        if (evolveRun || redraw || !e.target.matches('input[type=range][id^="vol-"]')) return;
+        redraw = requestAnimationFrame(() => {
+            redraw = null;
+            if (!evolveRun) renderEvolve();
+        });
+    }, true);
+    renderEvolve();
+}
+
+// --- Shareable Mix Links ---
+// A mix is the full restorable state: every volume slider plus the spatial,
+// background and sleep timer settings. Links carry it in the URL hash, e.g.
+// #mix=rain.60,brown.20&sp=1&bg=Crimson&t=45 (volumes in percent, zeros omitted).
+function captureMix() {
+    return {
+        ...capturePreset(),
+        spatial: audio.spatialEnabled,
+        background: state.background,
+        timer: state.timer,
+    };
+}
+
+function applyMix(mix) {
+    applyPreset(mix);
+    if (mix.spatial !== undefined && mix.spatial !== audio.spatialEnabled) setSpatialEnabled(mix.spatial);
+    if (mix.background) selectTheme(mix.background);
+    if (mix.timer) document.getElementById('timer-input').value = mix.timer;
+}
+
+function encodeMixHash(mix) {
+    const params = new URLSearchParams();
+    const vols = Object.entries(mix.volumes)
+        .filter(([, vol]) => vol > 0)
+        .map(([id, vol]) => `${id.replace(/^vol-/, '')}.${Math.round(vol * 100)}`);
+    params.set('mix', vols.join(','));
+    if (mix.spatial) params.set('sp', '1');
+    if (mix.background) params.set('bg', mix.background);
+    if (mix.timer) params.set('t', mix.timer);
+    // URLSearchParams escapes ',' which would only bloat the link
+    return '#' + params.toString().replace(/%2C/g, ',');
+}
+
+// Returns null when the hash is not a mix link. Unknown sounds and bad values
+// are skipped (and reported in `warnings`) instead of failing the whole link.
+function decodeMixHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('mix')) return null;
+
+    const warnings = [];
+    const volumes = {};
+    getVolumeSliders().forEach(el => volumes[el.id] = 0);
+
+    params.get('mix').split(',').filter(Boolean).forEach(pair => {
+        const [key, pct] = pair.split('.');
+        const id = `vol-${key}`;
+        const el = /^[a-z0-9-]+$/.test(key) ? document.getElementById(id) : null;
+        if (!el || !(id in volumes)) {
+            warnings.push(`Unknown sound "${key}"`);
+            return;
+        }
+        if (!/^\d+$/.test(pct || '')) {
+            warnings.push(`Invalid volume "${pct}" for ${key}`);
+            return;
+        }
+        const vol = Number(pct) / 100;
+        const max = parseFloat(el.max);
+        if (vol > max) warnings.push(`Volume for ${key} clamped to ${max}`);
+        volumes[id] = Math.min(vol, max);
+    });
+
+    const mix = { volumes, spatial: params.get('sp') === '1' };
+
+    const bg = params.get('bg');
+    if (bg && Object.hasOwn(THEMES, bg)) mix.background = bg;
+    else if (bg) warnings.push(`Unknown background "${bg}"`);
+
+    const t = params.get('t');
+    const mins = parseInt(t, 10);
+    if (t && /^\d+$/.test(t) && mins >= 1 && mins <= 999) mix.timer = mins;
+    else if (t) warnings.push(`Invalid timer "${t}"`);
+
+    return { mix, warnings };
+}
+
+function setupSharing() {
+    const copyBtn = document.getElementById('copy-link-btn');
+
+    copyBtn.addEventListener('click', () => {
+        const url = location.href.split('#')[0] + encodeMixHash(captureMix());
+        const done = () => {
+            copyBtn.innerText = 'Copied!';
+            setTimeout(() => copyBtn.innerText = 'Copy link', 2000);
+        };
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(done).catch(() => window.prompt('Copy this link', url));
+        } else {
+            window.prompt('Copy this link', url);
+        }
+    });
+
+    const openLink = () => {
+        const result = decodeMixHash(location.hash);
+        if (!result) return;
+        result.warnings.forEach(w => logAudioDebug(`Shared mix: ${w}`, 'warn'));
+        applyMix(result.mix);
+        logAudioDebug('Shared mix restored');
+
+        // Offer the mix for saving without touching the stored presets
+        const presetName = document.getElementById('preset-name');
+        if (!presetName.value) presetName.value = 'Shared Mix';
+        history.replaceState(null, '', location.href.split('#')[0]);
+    };
+    window.addEventListener('hashchange', openLink);
+    openLink();
+}
+
+// --- Audio Export ---
+// Renders the current mix through a second AudioEngine built on an
+// OfflineAudioContext, so tracks, generators, tone, spatial layout and master
+// processing come out exactly as they play live.
+const EXPORT_SAMPLE_RATE = 44100;
+
+async function renderMix(seconds, { seamless = false, fade = false, onProgress = () => {} } = {}) {
+    // Seamless exports render a few seconds more and fold them into the start
+    const fold = seamless ? Math.min(5, seconds / 4) : 0;
+    const total = seconds + fold;
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const context = new OfflineContext(2, Math.ceil(total * EXPORT_SAMPLE_RATE), EXPORT_SAMPLE_RATE);
+    const engine = new AudioEngine({ context });
+
+    // Same settings as the live engine; orbits carry on from their current angle
+    const now = audio.ctx.currentTime;
+    engine.spatialEnabled = audio.spatialEnabled;
+    engine.loopSettings = { ...audio.loopSettings };
+    engine.tones = { ...audio.tones };
+    Object.entries(audio.positions).forEach(([id, pos]) => {
+        engine.positions[id] = { ...pos, orbitStart: pos.orbitStart - now };
+    });
+    engine.setNightMode(audio.nightMode);
+    engine.masterGain.gain.value = audio.masterVolume;
+
+    const lanes = automationStart !== null ? automationLanes() : {};
+    const skipped = [];
+    getVolumeSliders().forEach(el => {
+        // The file holds what is audible, so muted and unsoloed sounds stay out
+        const vol = audibleVolume(el.id);
+        if (isSilenced(el.id) || (vol === 0 && !lanes[el.id])) return;
+        const channel = CHANNEL_IDS[el.id];
+        const sound = SOUND_CATALOG.find(entry => `vol-${entry.id}` === el.id);
+        if (sound && sound.source === 'generator') {
+            sound.enable(engine, vol);
+        } else {
+            const track = audio.tracks[channel];
+            if (!track || track.type !== 'buffer') {
+                skipped.push(getSoundLabel(el.id));
+                return;
+            }
+            engine.createBufferTrack(channel, track.buffer);
+            engine.setTrackVolume(channel, vol);
+        }
+        // Start at full level instead of the slider's short fade-in
+        const gain = engine.getChannel(channel).gain.gain;
+        gain.cancelScheduledValues(0);
+        gain.setValueAtTime(vol, 0);
+        if (lanes[el.id]) engine.automate(channel, lanes[el.id], automationStart - now);
+    });
+
+    if (fade && !seamless) {
+        const fadeTime = Math.min(10, seconds / 10);
+        const master = engine.masterGain.gain;
+        master.setValueAtTime(0, 0);
+        master.linearRampToValueAtTime(audio.masterVolume, fadeTime);
+        master.setValueAtTime(audio.masterVolume, seconds - fadeTime);
+        master.linearRampToValueAtTime(0, seconds);
+    }
+    engine.scheduleOrbits(total);
+
+    // The render pauses every tenth to report progress and queue the next
+    // stretch of generator events, rather than building them all up front.
+    // A failed pause would leave the render suspended, so it fails the export
+    const step = total / 10;
+    let failRender;
+    const renderFailed = new Promise((resolve, reject) => { failRender = reject; });
+    if (context.suspend) {
+        engine.runSchedulers(step + GENERATOR_LOOKAHEAD);
+        for (let i = 1; i < 10; i++) {
+            context.suspend(step * i).then(() => {
+                onProgress(i / 10);
+                engine.runSchedulers(step * (i + 1) + GENERATOR_LOOKAHEAD);
+                return context.resume();
+            }).catch(failRender);
+        }
+    } else {
+        engine.runSchedulers(total);
+    }
+
+    let rendered;
+    try {
+        rendered = await Promise.race([context.startRendering(), renderFailed]);
+    } finally {
+        clearInterval(engine.schedulerInt);
+    }
+    onProgress(1);
+    return { buffer: fold ? foldLoop(rendered, seconds) : rendered, skipped };
+}
+
+// Crossfades everything after `seconds` into the start, so the result loops
+// without a seam
+function foldLoop(buffer, seconds) {
+    const length = Math.round(seconds * buffer.sampleRate);
+    const fadeSize = buffer.length - length;
+    const looped = audio.ctx.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        const out = looped.getChannelData(c);
+        out.set(data.subarray(0, length));
+        for (let i = 0; i < fadeSize; i++) {
+            const w = i / fadeSize;
+            out[i] = data[i] * Math.sqrt(w) + data[length + i] * Math.sqrt(1 - w);
+        }
+    }
+    return looped;
+}
+
+// 16-bit PCM WAV
+function encodeWav(buffer) {
+    const channels = buffer.numberOfChannels;
+    const dataSize = buffer.length * channels * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = [];
+    for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < buffer.length; i++) {
+        for (let c = 0; c < channels; c++) {
+            const v = Math.max(-1, Math.min(1, data[c][i]));
+            view.setInt16(offset, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+            offset += 2;
+        }
+    }
+    return new Blob([view], { type: 'audio/wav' });
+}
+
+function setupAudioExport() {
+    const modal = document.getElementById('render-modal');
+    const field = id => document.getElementById(id);
+    const status = field('render-status');
+    const renderBtn = field('render-start-btn');
+    let rendering = false;
+
+    const updateEstimate = () => {
+        const minutes = parseFloat(field('render-duration').value);
+        const megabytes = minutes * 60 * EXPORT_SAMPLE_RATE * 4 / 1e6;
+        field('render-fade').disabled = field('render-seamless').checked;
+        status.textContent = `About ${Math.round(megabytes)} MB`;
+        status.classList.remove('text-red-500');
+    };
+
+    field('render-btn').addEventListener('click', () => {
+        if (!rendering) updateEstimate();
+        modal.classList.remove('hidden');
+    });
+    field('render-cancel-btn').addEventListener('click', () => modal.classList.add('hidden'));
+    ['render-duration', 'render-seamless'].forEach(id => field(id).addEventListener('change', updateEstimate));
+
+    renderBtn.addEventListener('click', async () => {
+        if (!getVolumeSliders().length || ![...getVolumeSliders()].some(el => parseFloat(el.value) > 0)) {
+            status.textContent = 'Turn up at least one sound first';
+            status.classList.add('text-red-500');
+            return;
+        }
+        const minutes = parseFloat(field('render-duration').value);
+        const seamless = field('render-seamless').checked;
+        rendering = true;
+        renderBtn.disabled = true;
+        status.textContent = 'Rendering… 0%';
+        try {
+            const { buffer, skipped } = await renderMix(minutes * 60, {
+                seamless,
+                fade: field('render-fade').checked,
+                onProgress: p => status.textContent = `Rendering… ${Math.round(p * 100)}%`,
+            });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(encodeWav(buffer));
+            a.download = `dragon-keep-${minutes}min${seamless ? '-loop' : ''}.wav`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+            status.textContent = skipped.length
+                ? `Done. Skipped (not loaded): ${skipped.join(', ')}`
+                : 'Done';
+        } catch (e) {
+            logAudioDebug(`Export failed: ${e.message}`, 'error');
+            status.textContent = `Export failed: ${e.message}`;
+            status.classList.add('text-red-500');
+        } finally {
+            rendering = false;
+            renderBtn.disabled = false;
+        }
+    });
+}
+
+// --- Offline Sounds ---
+// sw.js serves sounds from SOUND_CACHE but never fills it: the page downloads
+// them itself so each card can show progress, and only the sounds the user
+// chooses to keep offline are stored. Nothing is downloaded until then, so
+// tracks still load lazily.
+const SOUND_CACHE = 'dragon-sounds'; // Must match sw.js
+
+// Slider id -> absolute URL, for sounds backed by an audio file
+function getSoundFiles() {
+    const files = {};
+    getVolumeSliders().forEach(el => {
+        const media = document.getElementById(CHANNEL_IDS[el.id]);
+        if (media && media.tagName === 'AUDIO' && !media.dataset.custom) {
+            files[el.id] = new URL(media.getAttribute('src'), location.href).href;
+        }
+    });
+    return files;
+}
+
+async function downloadSound(url, onProgress) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    const type = response.headers.get('Content-Type') || 'audio/mpeg';
+    const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        if (total) onProgress(Math.min(1, received / total));
+    }
+    const cache = await caches.open(SOUND_CACHE);
+    await cache.put(url, new Response(new Blob(chunks, { type }), {
+        headers: { 'Content-Type': type, 'Content-Length': String(received) }
+    }));
+}
+
+function setupOffline() {
+    if (!('serviceWorker' in navigator) || !('caches' in window)) return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(watchForUpdates)
+        .catch(e => logAudioDebug(`Service worker registration failed: ${e.message}`, 'error'));
+
+    const files = getSoundFiles();
+    const controls = {};
+    const setStatus = (sliderId, status, progress = 0) => {
+        const { btn, bar } = controls[sliderId];
+        btn.classList.toggle('text-amber-500', status === 'cached');
+        btn.classList.toggle('text-red-500', status === 'failed');
+        btn.classList.toggle('animate-pulse', status === 'downloading');
+        btn.title = {
+            cached: 'Kept offline (click to remove)',
+            downloading: 'Downloading for offline use…',
+            failed: 'Download failed (click to retry)',
+            none: 'Keep offline',
+        }[status];
+        bar.classList.toggle('hidden', status !== 'downloading');
+        bar.style.transform = `scaleX(${progress})`;
+    };
+
+    const isKept = sliderId => state.offline[sliderId] === true;
+    const save = () => localStorage.setItem('dragon_offline', JSON.stringify(state.offline));
+
+    // Downloads run one at a time so the first sound is ready sooner
+    let queue = Promise.resolve();
+    const sync = (sliderId) => {
+        queue = queue.then(async () => {
+            const cache = await caches.open(SOUND_CACHE);
+            const cached = await cache.match(files[sliderId]);
+            if (!isKept(sliderId)) {
+                if (cached) await cache.delete(files[sliderId]);
+                setStatus(sliderId, 'none');
+            } else if (cached) {
+                setStatus(sliderId, 'cached');
+            } else {
+                setStatus(sliderId, 'downloading');
+                try {
+                    await downloadSound(files[sliderId], p => setStatus(sliderId, 'downloading', p));
+                    setStatus(sliderId, isKept(sliderId) ? 'cached' : 'none');
+                } catch (e) {
+                    logAudioDebug(`Offline download failed for ${sliderId}: ${e.message}`, 'error');
+                    setStatus(sliderId, 'failed');
+                }
+            }
+        }).catch(e => {
+            // Storage errors too, or the queue would stay rejected for good
+            logAudioDebug(`Offline library update failed for ${sliderId}: ${e.message}`, 'error');
+            setStatus(sliderId, 'failed');
+        });
+        return queue;
+    };
+
+    // Sounds cached back when every sound was kept by default stay kept
+    queue = queue.then(async () => {
+        const cache = await caches.open(SOUND_CACHE);
+        for (const [sliderId, url] of Object.entries(files)) {
+            if (!(sliderId in state.offline) && await cache.match(url)) state.offline[sliderId] = true;
+        }
+        save();
+    }).catch(e => logAudioDebug(`Could not check the offline library: ${e.message}`, 'error'));
+
+    Object.keys(files).forEach(sliderId => {
+        const card = document.getElementById(sliderId).closest('.sound-card');
+        if (!card) return;
+        const btn = document.createElement('button');
+        btn.className = 'offline-btn absolute top-2 right-2 text-stone-600 hover:text-amber-100 p-1';
+        btn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>';
+        const bar = document.createElement('div');
+        bar.className = 'offline-progress hidden';
+        card.appendChild(btn);
+        card.appendChild(bar);
+        controls[sliderId] = { btn, bar };
+
+        btn.addEventListener('click', () => {
+            const keep = !isKept(sliderId);
+            if (keep) state.offline[sliderId] = true;
+            else delete state.offline[sliderId];
+            save();
+            // Ask the browser not to evict the library under storage pressure
+            if (keep && navigator.storage && navigator.storage.persist) navigator.storage.persist();
+            sync(sliderId);
+        });
+        setStatus(sliderId, 'none');
+        sync(sliderId);
+    });
+}
+
+// A new worker waits until the user reloads from the prompt, so an update
+// never interrupts a session that is playing
+function watchForUpdates(registration) {
+    const toast = document.getElementById('update-toast');
+    let reloading = false;
+    const prompt = (worker) => {
+        toast.classList.remove('hidden');
+        document.getElementById('update-reload-btn').onclick = () => {
+            reloading = true;
+            worker.postMessage('skipWaiting');
+        };
+    };
+
+    if (registration.waiting && navigator.serviceWorker.controller) prompt(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            // With no controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) prompt(worker);
+        });
+    });
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) location.reload();
+    });
+    document.getElementById('update-dismiss-btn').addEventListener('click', () => toast.classList.add('hidden'));
+}
+
+// --- Visuals ---
+// Lows make the dragon's glow breathe, mids set the embers' speed and highs
+// make them sparkle. Sounds with a catalog `visual` add their own layer,
+// scaled by how far up their slider is.
+const VISUAL_MODES = {
+    full: { label: 'Full', embers: 100, rain: 140, glow: true, fps: 60, reactivity: 1 },
+    calm: { label: 'Calm', embers: 60, rain: 80, glow: true, fps: 60, reactivity: 0.5 },
+    low: { label: 'Low Power', embers: 30, rain: 40, glow: false, fps: 20, reactivity: 0.7 },
+};
+// What the power saver drops to, whatever the mode
+const POWER_SAVER_VISUALS = { embers: 20, rain: 20, glow: false, fps: 8, reactivity: 0.5 };
+
+function setVisualMode(mode) {
+    state.visuals = VISUAL_MODES[mode] ? mode : 'full';
+    localStorage.setItem('dragon_visuals', state.visuals);
+    document.getElementById('visuals-btn').innerText = `Visuals: ${VISUAL_MODES[state.visuals].label}`;
+}
+
+// 0-1 strength of each visual layer from the sliders of the sounds behind it
+function visualLayers() {
+    const layers = { rain: 0, embers: 0, wind: 0 };
+    if (audio.isMuted) return layers;
+    SOUND_CATALOG.forEach(sound => {
+        if (!sound.visual) return;
+        const vol = (state.volumes[`vol-${sound.id}`] || 0) / sound.max;
+        layers[sound.visual] = Math.min(1, layers[sound.visual] + vol);
+    });
+    return layers;
+}
+
+function initVisuals() {
+    const canvas = document.getElementById('embers-canvas');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const embers = [];
+    const drops = [];
+    function resize() { canvas.width = window.innerWidth; canvas.height = window.innerHeight; }
+    window.addEventListener('resize', resize);
+    resize();
+
+    document.getElementById('visuals-btn').addEventListener('click', () => {
+        const modes = Object.keys(VISUAL_MODES);
+        setVisualMode(modes[(modes.indexOf(state.visuals) + 1) % modes.length]);
+    });
+    setVisualMode(state.visuals);
+
+    class Ember {
+        constructor(fromBottom = false) { this.reset(); if (!fromBottom) this.y = Math.random() * canvas.height; }
+        reset() {
+            this.x = Math.random() * canvas.width;
+            this.y = canvas.height + 50;
+            this.size = Math.random() * 3 + 1;
+            this.speed = Math.random() * 1 + 0.5;
+            this.opacity = Math.random();
+            this.flash = 0;
+        }
+        update(mid, high, wind) {
+            this.y -= this.speed * (1 + mid * 5);
+            this.x += wind * this.speed * 2;
+            if (this.x > canvas.width + 10) this.x = -10;
+            if (this.y < -10) this.reset();
+            // Highs make the odd ember flare up
+            if (Math.random() < high * 0.02) this.flash = 1;
+            this.flash *= 0.9;
+        }
+        draw(low, high, glow) {
+            const sizeMod = 1 + low * 0.5 + this.flash;
+            const twinkle = Math.max(0, Math.min(1, this.opacity * (1 - high * 0.5 + Math.random() * high) + this.flash));
+            // The theme's ember colour, running hotter (whiter) with the bass and flares
+            const [r, g, b] = emberColor;
+            const heat = k => `${Math.round(r + (255 - r) * k)}, ${Math.round(g + (255 - g) * k)}, ${Math.round(b + (255 - b) * k)}`;
+            if (glow) {
+                ctx.shadowBlur = this.size * 5 * sizeMod;
+                ctx.shadowColor = `rgba(${heat(low * 0.6)}, ${twinkle})`;
+            }
+            ctx.fillStyle = `rgba(${heat(Math.min(1, low * 0.5 + this.flash * 0.5))}, ${twinkle})`;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.size * sizeMod, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    class Drop {
+        constructor() { this.reset(); this.y = Math.random() * canvas.height; }
+        reset() {
+            this.x = Math.random() * (canvas.width + 100) - 100;
+            this.y = -20 - Math.random() * 100;
+            this.length = 10 + Math.random() * 20;
+            this.speed = 8 + Math.random() * 6;
+        }
+        update(wind) {
+            this.y += this.speed;
+            this.x += 0.5 + wind * 3;
+            if (this.y > canvas.height) this.reset();
+        }
+        draw(wind) {
+            ctx.moveTo(this.x, this.y);
+            ctx.lineTo(this.x - (0.5 + wind * 3) * this.length / this.speed, this.y - this.length);
+        }
+    }
+
+    for (let i = 0; i < VISUAL_MODES[state.visuals].embers; i++) embers.push(new Ember());
+
+    // Smoothed so the glow breathes rather than flickers
+    let eyeScale = 0.1, glowLevel = 0, lastFrame = 0;
+
+    function animate(time) {
+        const budget = visualsBudget();
+        syncThemeVideo(budget);
+        // Nothing is visible, so only look in now and then to see if that changed
+        if (budget === 'paused') {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            setTimeout(() => requestAnimationFrame(animate), 1000);
+            return;
+        }
+        requestAnimationFrame(animate);
+        const mode = budget === 'saving' ? POWER_SAVER_VISUALS : VISUAL_MODES[state.visuals];
+        if (document.hidden || time - lastFrame < 1000 / mode.fps - 2) return;
+        lastFrame = time;
+
+        const bands = audio.getAnalysis();
+        const r = mode.reactivity;
+        const low = bands.low * r, mid = bands.mid * r, high = bands.high * r;
+        const layers = visualLayers();
+
+        // Grow or shrink towards the target counts a particle per frame
+        const emberTarget = Math.round(mode.embers * (1 + layers.embers * 1.5));
+        if (embers.length < emberTarget) embers.push(new Ember(true));
+        else if (embers.length > emberTarget) embers.pop();
+        const dropTarget = Math.round(mode.rain * layers.rain);
+        if (drops.length < dropTarget) drops.push(new Drop());
+        else if (drops.length > dropTarget) drops.pop();
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.shadowBlur = 0;
+        if (drops.length) {
+            ctx.strokeStyle = `rgba(170, 190, 220, ${0.2 + high * 0.3})`;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            drops.forEach(d => { d.update(layers.wind); d.draw(layers.wind); });
+            ctx.stroke();
+        }
+        embers.forEach(e => { e.update(mid, high, layers.wind); e.draw(low, high, mode.glow); });
+
+        // Glow and container breathe with the lows
+        const container = document.getElementById('visualizer-container');
+        const glow = document.getElementById('visualizer-glow');
+        const eyeGroup = document.getElementById('dragon-eye-group');
+        glowLevel += ((bands.active ? low : 0) - glowLevel) * 0.1;
+        container.style.transform = `scale(${1 + glowLevel * 0.15})`;
+        glow.style.opacity = Math.min(0.8, glowLevel * 2);
+
+        if (eyeGroup) {
+            // Half open for anything audible, wider as the whole mix gets louder
+            const targetScale = bands.active ? Math.min(1, 0.35 + bands.level * r * 1.5) : 0.1;
+            eyeScale += (targetScale - eyeScale) * 0.1;
+            eyeGroup.style.transform = `scaleY(${eyeScale})`;
+            eyeGroup.style.opacity = 0.5 + (eyeScale * 0.5); // Dimmer when closed
+
+            // Clear class-based animations if they conflict
+            eyeGroup.classList.remove('eye-closed', 'eye-open');
+        }
+    }
+    requestAnimationFrame(animate);
+}
+
+// --- Power Saving ---
+// With the saver on, visuals drop to POWER_SAVER_VISUALS while the sleep
+// timer runs or nobody has touched the page for IDLE_AFTER. The night screen
+// is a black overlay that stops them altogether; it can come up by itself
+// after `state.power.nightScreen` minutes without input while sound plays,
+// and any tap or key wakes it.
+const IDLE_AFTER = 2 * 60000;
+let lastActivity = Date.now();
+
+// Stored power settings with anything unusable set back to off
+function sanitizePower(power) {
+    const { saver, nightScreen } = power && typeof power === 'object' ? power : {};
+    return {
+        saver: saver === true,
+        nightScreen: typeof nightScreen === 'number' && isFinite(nightScreen) && nightScreen >= 0 ? nightScreen : 0,
+    };
+}
+
+function isNightScreenOn() {
+    return !document.getElementById('night-screen').classList.contains('hidden');
+}
+
+// 'paused' | 'saving' | 'normal'; checked by the visuals every frame
+function visualsBudget() {
+    if (document.hidden || isNightScreenOn()) return 'paused';
+    if (state.power.saver && (state.timer > 0 || Date.now() - lastActivity > IDLE_AFTER)) return 'saving';
+    return 'normal';
+}
+
+function setNightScreen(on) {
+    document.getElementById('night-screen').classList.toggle('hidden', !on);
+    if (on) logAudioDebug('Night screen on');
+}
+
+function setupPowerSaving() {
+    const saverBox = document.getElementById('power-saver');
+    const nightSelect = document.getElementById('night-screen-after');
+    const save = () => localStorage.setItem('dragon_power', JSON.stringify(state.power));
+
+    saverBox.checked = state.power.saver;
+    saverBox.addEventListener('change', () => {
+        state.power.saver = saverBox.checked;
+        save();
+    });
+    nightSelect.value = String(state.power.nightScreen);
+    if (nightSelect.selectedIndex < 0) nightSelect.value = '0';
+    nightSelect.addEventListener('change', () => {
+        state.power.nightScreen = parseInt(nightSelect.value);
+        save();
+    });
+    document.getElementById('night-screen-btn').addEventListener('click', e => {
+        e.stopPropagation(); // The same click would wake it again
+        setNightScreen(true);
+    });
+
+    // Captured first, so the input that wakes the screen does nothing else
+    // (a key press would otherwise also pause playback)
+    ['pointerdown', 'pointermove', 'keydown', 'touchstart'].forEach(type => {
+        document.addEventListener(type, e => {
+            lastActivity = Date.now();
+            if (type === 'pointermove' || !isNightScreenOn()) return;
+            e.preventDefault();
+            e.stopPropagation();
+            setNightScreen(false);
+        }, { capture: true, passive: false });
+    });
+
+    setInterval(() => {
+        const after = state.power.nightScreen * 60000;
+        if (after && !audio.isMuted && !isNightScreenOn() && Date.now() - lastActivity > after) setNightScreen(true);
+    }, 15000);
+}
+
+// --- Themes ---
+// A theme is a background plus the colour of the embers and of the accent
+// (slider thumbs, active cards), both as [r, g, b]. Backgrounds are a CSS
+// `gradient`, a tiled CSS `pattern`, an `image` URL or a looping `video` URL.
+// Built-in ids are the old background names, so saved choices and shared
+// links (bg=Crimson) keep working. Uploaded images and videos are stored in
+// the 'themes' store as { id, name, type, blob, ember, accent, created } and
+// added here as 'theme-…' entries.
+const THEMES = {
+    obsidian: {
+        name: 'Obsidian Keep', swatch: '#0c0a09', ember: [255, 100, 0], accent: [239, 68, 68],
+        background: { type: 'pattern', value: `url("data:image/svg+xml,%3Csvg width='60' height='60' viewBox='0 0 60 60' xmlns='http://www.w3.org/2000/svg'%3E%3Cg fill='none' fill-rule='evenodd'%3E%3Cg fill='%239C92AC' fill-opacity='1'%3E%3Cpath d='M36 34v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zm0-30V0h-2v4h-4v2h4v4h2V6h4V4h-4zM6 34v-4H4v4H0v2h4v4h2v-4h4v-2H6zM6 4V0H4v4H0v2h4v4h2V6h4V4H6z'/%3E%3C/g%3E%3C/g%3E%3C/svg%3E")` },
+    },
+    Crimson: {
+        name: 'Crimson Cave', swatch: '#450a0a', ember: [255, 70, 20], accent: [239, 68, 68],
+        background: { type: 'gradient', value: 'linear-gradient(to bottom right, #450a0a, #000000)' },
+    },
+    Misty: {
+        name: 'Misty Peaks', swatch: '#0f172a', ember: [180, 200, 255], accent: [56, 189, 248],
+        background: { type: 'gradient', value: 'linear-gradient(to top, #0f172a, #1e293b)' },
+    },
+    Golden: {
+        name: 'Gold Hoard', swatch: '#451a03', ember: [255, 180, 40], accent: [245, 158, 11],
+        background: { type: 'gradient', value: 'radial-gradient(circle at center, #78350f, #2a1b0e)' },
+    },
+    Emerald: {
+        name: 'Emerald Sanctuary', swatch: '#064e3b', ember: [110, 255, 160], accent: [16, 185, 129],
+        background: { type: 'gradient', value: 'linear-gradient(to top left, #064e3b, #022c22)' },
+    },
+    Amethyst: {
+        name: 'Amethyst Geode', swatch: '#581c87', ember: [200, 130, 255], accent: [168, 85, 247],
+        background: { type: 'gradient', value: 'linear-gradient(to bottom, #581c87, #000000)' },
+    },
+};
+
+let emberColor = THEMES.obsidian.ember; // Read by the visuals every frame
+
+const hexToRgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const rgbToHex = rgb => '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+
+function showThemeStatus(msg, isError = false) {
+    const status = document.getElementById('theme-status');
+    status.textContent = msg;
+    status.classList.toggle('text-red-500', isError);
+    status.classList.toggle('text-stone-500', !isError);
+}
+
+function selectTheme(id) {
+    // Own keys only: ids come from links and imported presets, and 'constructor' is not a theme
+    const known = Object.hasOwn(THEMES, id);
+    const theme = known ? THEMES[id] : THEMES.obsidian;
+    const { type, value } = theme.background;
+    const bgLayer = document.getElementById('bg-layer');
+    const bgVideo = document.getElementById('bg-video');
+
+    bgLayer.style.backgroundImage = type === 'video' ? '' : type === 'image' ? `url("${value}")` : value;
+    bgLayer.style.backgroundSize = type === 'pattern' ? 'auto' : 'cover';
+    bgLayer.classList.toggle('theme-image', type === 'image');
+    if (type === 'video') {
+        bgVideo.src = value;
+        bgVideo.classList.remove('hidden');
+        // Faded in once there is a frame to show
+        bgVideo.addEventListener('loadeddata', () => bgVideo.classList.remove('opacity-0'), { once: true });
+        syncThemeVideo(visualsBudget());
+    } else {
+        bgVideo.pause();
+        bgVideo.removeAttribute('src');
+        bgVideo.load();
+        bgVideo.classList.add('hidden', 'opacity-0');
+    }
+
+    emberColor = theme.ember;
+    document.documentElement.style.setProperty('--accent', theme.accent.join(', '));
+    state.background = known ? id : 'obsidian';
+    localStorage.setItem('dragon_keep_bg', state.background);
+    renderThemes();
+}
+
+// Video backgrounds only play while the visuals run at full budget (see
+// visualsBudget), so the power saver and night screen pause them too
+function syncThemeVideo(budget) {
+    const video = document.getElementById('bg-video');
+    if (!video.getAttribute('src')) return;
+    const play = budget === 'normal';
+    if (play && video.paused) video.play().catch(() => { });
+    else if (!play && !video.paused) video.pause();
+}
+
+function renderThemes() {
+    const grid = document.getElementById('theme-grid');
+    grid.innerHTML = '';
+    Object.entries(THEMES).forEach(([id, theme]) => {
+        const tile = document.createElement('div');
+        tile.className = 'relative group';
+        tile.innerHTML = `
+            <button class="theme-pick w-full p-4 bg-stone-950 border border-stone-800 hover:border-red-900 rounded flex flex-col items-center gap-2">
+                <div class="theme-swatch w-full h-16 rounded opacity-50 group-hover:opacity-100 transition-opacity bg-center bg-cover overflow-hidden"></div>
+                <span class="text-stone-400 group-hover:text-amber-100 truncate max-w-full"></span>
+            </button>`;
+        const pick = tile.querySelector('.theme-pick');
+        pick.classList.toggle('border-amber-900', id === state.background);
+        pick.setAttribute('aria-pressed', String(id === state.background));
+        // Uploaded names are user input, so never render them as HTML
+        tile.querySelector('span').textContent = theme.name;
+        const swatch = tile.querySelector('.theme-swatch');
+        const { type, value } = theme.background;
+        if (type === 'video') {
+            const preview = document.createElement('video');
+            preview.src = value;
+            preview.muted = true;
+            preview.preload = 'metadata';
+            preview.className = 'w-full h-full object-cover';
+            swatch.appendChild(preview);
+        } else if (type === 'image') {
+            swatch.style.backgroundImage = `url("${value}")`;
+        } else {
+            swatch.style.background = theme.swatch;
+        }
+        pick.addEventListener('click', () => {
+            selectTheme(id);
+            closeThemeModal();
+        });
+
+        if (theme.custom) {
+            const del = document.createElement('button');
+            del.className = 'absolute top-1 right-1 text-stone-600 hover:text-red-500 p-1 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity';
+            del.setAttribute('aria-label', `Delete ${theme.name}`);
+            del.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+            del.addEventListener('click', () => deleteCustomTheme(id));
+            tile.appendChild(del);
+        }
+        grid.appendChild(tile);
+    });
+}
+
+function addCustomTheme(record) {
+    THEMES[record.id] = {
+        name: record.name,
+        swatch: rgbToHex(record.accent),
+        ember: record.ember,
+        accent: record.accent,
+        background: { type: record.type, value: URL.createObjectURL(record.blob) },
+        custom: true,
+    };
+}
+
+async function importCustomTheme(file) {
+    const type = file.type.startsWith('video/') ? 'video' : file.type.startsWith('image/') ? 'image' : null;
+    if (!type) {
+        showThemeStatus('Only images and videos can be used', true);
+        return;
+    }
+    const record = {
+        id: `theme-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: file.name.replace(/\.[^.]+$/, '').slice(0, 40) || 'My Lair',
+        type,
+        blob: file,
+        ember: hexToRgb(document.getElementById('theme-ember').value),
+        accent: hexToRgb(document.getElementById('theme-accent').value),
+        created: new Date().toISOString(),
+    };
+    try {
+        await dbRequest('themes', 'readwrite', store => store.put(record));
+    } catch (e) {
+        logAudioDebug(`Could not store ${file.name}: ${e.message}`, 'error');
+        showThemeStatus(`Could not save "${file.name}" (storage full?)`, true);
+        return;
+    }
+    addCustomTheme(record);
+    selectTheme(record.id);
+    showThemeStatus(`Added "${record.name}"`);
+}
+
+async function deleteCustomTheme(id) {
+    const theme = THEMES[id];
+    if (!window.confirm(`Delete "${theme.name}"? Presets using it will keep their current theme.`)) return;
+    try {
+        await dbRequest('themes', 'readwrite', store => store.delete(id));
+    } catch (e) {
+        logAudioDebug(`Could not delete ${id}: ${e.message}`, 'error');
+        return;
+    }
+    delete THEMES[id];
+    if (state.background === id) selectTheme('obsidian');
+    URL.revokeObjectURL(theme.background.value);
+    renderThemes();
+    showThemeStatus(`Deleted "${theme.name}"`);
+}
+
+function closeThemeModal() {
+    const bgModal = document.getElementById('bg-modal');
+    bgModal.classList.add('opacity-0');
+    setTimeout(() => bgModal.classList.add('hidden'), 300);
+}
+
+async function setupThemes() {
+    const bgModal = document.getElementById('bg-modal');
+    const fileInput = document.getElementById('theme-file-input');
+    document.getElementById('bg-settings-btn').addEventListener('click', () => {
+        // New uploads start from the colours of the theme in use
+        const current = THEMES[state.background] || THEMES.obsidian;
+        document.getElementById('theme-ember').value = rgbToHex(current.ember);
+        document.getElementById('theme-accent').value = rgbToHex(current.accent);
+        bgModal.classList.remove('hidden');
+        setTimeout(() => bgModal.classList.remove('opacity-0'), 10);
+    });
+    document.getElementById('bg-modal-close').addEventListener('click', closeThemeModal);
+    document.getElementById('theme-upload-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length) importCustomTheme(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    // Built-in themes need nothing from the database, so the page doesn't
+    // show the default while it opens; uploaded ones follow once it has
+    const saved = localStorage.getItem('dragon_keep_bg') || 'obsidian';
+    if (Object.hasOwn(THEMES, saved)) selectTheme(saved);
+
+    if (!window.indexedDB) {
+        document.getElementById('theme-upload-btn').disabled = true;
+    } else {
+        try {
+            const themes = await dbRequest('themes', 'readonly', store => store.getAll());
+            themes.sort((a, b) => a.created.localeCompare(b.created)).forEach(addCustomTheme);
+        } catch (e) {
+            logAudioDebug(`Could not load custom themes: ${e.message}`, 'error');
+        }
+    }
+    if (state.background !== saved) selectTheme(saved);
+}
+
+// --- Diagnostics ---
+// Opened with ?debug=1 or Ctrl+Shift+D. While open it refreshes the graph
+// snapshot every second and follows the log at the chosen level.
+function formatDiagnostics(diag) {
+    const lines = [
+        `Context: ${diag.context.state}, ${diag.context.sampleRate} Hz, t=${diag.context.currentTime}s`,
+        `Master: gain ${diag.master.gain}${diag.master.muted ? ' (muted)' : ''}, fade ${diag.master.fade}, ` +
+        `comp ${diag.master.compressorReduction} dB, limiter ${diag.master.limiterReduction} dB`,
+        `Level: ${diag.level}` + (diag.master.nightMode ? ' · night' : '') + (diag.master.spatial ? ' · spatial' : ''),
+        '',
+        `Tracks (${diag.tracks.length})`,
+        ...diag.tracks.map(t => `  ${t.id}: ${t.status}${t.type ? `/${t.type}` : ''}` +
+            (t.playing ? ` playing x${t.sources || 1}` : '') +
+            (t.gain !== null ? ` gain ${t.gain}` : '') + (t.pan ? ` pan ${t.pan}` : '')),
+        `Generators (${diag.generators.filter(g => g.active).length} active)`,
+        ...diag.generators.map(g => `  ${g.id}: ${g.active ? `on, ${g.nodes} nodes` : 'off'} gain ${g.gain}` +
+            (g.pan ? ` pan ${g.pan}` : '')),
+    ];
+    if (diag.lanes.length) lines.push(`Automation lanes: ${diag.lanes.join(', ')}`);
+    return lines.join('\n');
+}
+
+function setupDiagnostics() {
+    const panel = document.getElementById('debug-ui');
+    const graph = document.getElementById('debug-graph');
+    const log = document.getElementById('debug-log');
+    const levelSelect = document.getElementById('debug-level');
+    let refreshInt = null;
+
+    const shown = entry => DEBUG_LEVELS.indexOf(entry.level) >= DEBUG_LEVELS.indexOf(levelSelect.value);
+    const row = entry => {
+        const div = document.createElement('div');
+        div.className = `debug-${entry.level}`;
+        div.textContent = `[${new Date(entry.time).toLocaleTimeString()}] ${entry.msg}`;
+        return div;
+    };
+    const renderLog = () => {
+        log.replaceChildren(...debugLog.filter(shown).map(row));
+        log.scrollTop = log.scrollHeight;
+    };
+    const refresh = () => graph.textContent = formatDiagnostics(audio.getDiagnostics());
+
+    const open = () => {
+        panel.classList.remove('hidden');
+        renderLog();
+        refresh();
+        refreshInt = setInterval(refresh, 1000);
+        onDebugLog = entry => {
+            if (!shown(entry)) return;
+            const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 4;
+            log.appendChild(row(entry));
+            // The panel holds no more rows than the buffer
+            while (log.childElementCount > DEBUG_LOG_SIZE) log.firstChild.remove();
+            if (atBottom) log.scrollTop = log.scrollHeight;
+        };
+    };
+    const close = () => {
+        panel.classList.add('hidden');
+        clearInterval(refreshInt);
+        onDebugLog = null;
+    };
+
+    levelSelect.addEventListener('change', renderLog);
+    document.getElementById('debug-close-btn').addEventListener('click', close);
+    document.getElementById('debug-clear-btn').addEventListener('click', () => {
+        debugLog.length = 0;
+        renderLog();
+    });
+
+    const copyBtn = document.getElementById('debug-copy-btn');
+    copyBtn.addEventListener('click', () => {
+        const report = JSON.stringify({
+            app: APP_VERSION,
+            time: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            audio: audio.getDiagnostics(),
+            volumes: Object.fromEntries(Object.entries(state.volumes).filter(([, vol]) => vol > 0)),
+            log: debugLog.map(e => `${new Date(e.time).toISOString()} ${e.level.toUpperCase()} ${e.msg}`),
+        }, null, 2);
+        const done = () => {
+            copyBtn.innerText = 'Copied!';
+            setTimeout(() => copyBtn.innerText = 'Copy diagnostics', 2000);
+        };
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(report).then(done).catch(() => window.prompt('Copy these diagnostics', report));
+        } else {
+            window.prompt('Copy these diagnostics', report);
+        }
+    });
+
+    document.addEventListener('keydown', e => {
+        if (!(e.ctrlKey && e.shiftKey && e.code === 'KeyD')) return;
+        e.preventDefault();
+        if (panel.classList.contains('hidden')) open();
+        else close();
+    });
+    if (new URLSearchParams(location.search).get('debug') === '1') open();
 }
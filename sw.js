@@ -0,0 +1,70 @@
+// --- Service Worker (offline support) ---
+// The app shell is precached per CACHE_VERSION: bump it whenever a shell file
+// changes so clients pick up the new set together. Sounds live in their own
+// unversioned cache, filled by the page (see "Offline Sounds" in script.js),
+// so an update never throws away the user's offline library.
+const CACHE_VERSION = 'v32';
+const SHELL_CACHE = `dragon-shell-${CACHE_VERSION}`;
+const SOUND_CACHE = 'dragon-sounds';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.json',
+    'src/css/styles.css',
+    'src/js/script.js',
+    'icons/icon-512.png'
+];
+// Cross-origin scripts the page can't style or run without
+const CDN_FILES = ['https://cdn.tailwindcss.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(async (cache) => {
+        await cache.addAll(SHELL_FILES);
+        // These come back opaque, which addAll rejects, so store them directly
+        await Promise.all(CDN_FILES.map(url => fetch(url, { mode: 'no-cors' })
+            .then(response => cache.put(url, response))
+            .catch(() => console.warn(`Could not precache ${url}`))));
+    }));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('dragon-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// A waiting worker only takes over once the user chose to reload, so an
+// update never swaps files out from under a playing session
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    // Sounds: the kept offline copy if there is one, otherwise the network
+    if (url.origin === location.origin && url.pathname.includes('/sounds/')) {
+        event.respondWith(caches.open(SOUND_CACHE)
+            .then(cache => cache.match(request.url))
+            .then(cached => cached || fetch(request)));
+        return;
+    }
+
+    // Shell: cache first. Pages opened with a query (e.g. ?debug=1) or while
+    // offline still get the cached index.html.
+    event.respondWith(caches.open(SHELL_CACHE).then(async (cache) => {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        try {
+            return await fetch(request);
+        } catch (e) {
+            if (request.mode === 'navigate') return cache.match('index.html');
+            throw e;
+        }
+    }));
+});